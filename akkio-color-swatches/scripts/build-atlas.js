@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/**
+ * Name Atlas Crawler
+ *
+ * Runs discovery for a grid of S/L points and records each point's hue
+ * regions in a name atlas (format in src/services/nameAtlas.js), which the
+ * app then answers from without provider requests:
+ *
+ *   npm run build-atlas -- --s 0..100:5 --l 0..100:5
+ *
+ * Crawls are incremental and resumable: points already in the atlas are
+ * skipped unless `--refresh` is given, and the file is saved as it goes, so
+ * an interrupted crawl picks up where it stopped. A refresh reports which
+ * slices the provider now names differently; the file itself diffs one
+ * slice per line.
+ */
+
+import { readFile, rename, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { discoverDistinctColors } from '../src/services/colorApi.js';
+import {
+  atlasKey,
+  createAtlas,
+  serializeAtlas,
+  sliceFromColors,
+  validateAtlas,
+} from '../src/services/nameAtlas.js';
+import {
+  PROVIDER_OPTIONS,
+  PROVIDER_USAGE,
+  VALUES_USAGE,
+  parseValues,
+  readNumber,
+  runCli,
+  saveRecording,
+  setupProvider,
+  usageError,
+} from './cliOptions.js';
+
+const DEFAULT_OUT = 'public/name-atlas.json';
+
+const USAGE = `Usage: npm run build-atlas -- --s <values> --l <values> [options]
+
+${VALUES_USAGE}
+
+Options:
+  -s, --s <values>         Saturation values to crawl (required)
+  -l, --l <values>         Lightness values to crawl (required)
+  -o, --out <file>         Atlas file to create or extend (default ${DEFAULT_OUT})
+      --resolution <deg>   Boundary resolution in degrees (default 1)
+      --refresh            Re-crawl points already in the atlas and report changes
+      --save-every <n>     Save after every n crawled points (default 10)
+${PROVIDER_USAGE}
+  -h, --help               Show this help
+
+Provider flags override the VITE_COLOR_* environment variables.`;
+
+/**
+ * Reads the atlas at `path`, or null if there is none yet
+ */
+async function readAtlas(path) {
+  let text;
+  try {
+    text = await readFile(path, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  return validateAtlas(JSON.parse(text));
+}
+
+/**
+ * Writes through a temporary file so an interrupted save can't leave a
+ * truncated atlas behind
+ */
+async function saveAtlas(path, atlas) {
+  const temporary = `${path}.tmp`;
+  await writeFile(temporary, serializeAtlas(atlas));
+  await rename(temporary, path);
+}
+
+async function main(argv, signal) {
+  const { values: flags } = parseArgs({
+    args: argv,
+    options: {
+      s: { type: 'string', short: 's' },
+      l: { type: 'string', short: 'l' },
+      out: { type: 'string', short: 'o', default: DEFAULT_OUT },
+      resolution: { type: 'string' },
+      refresh: { type: 'boolean' },
+      'save-every': { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+      ...PROVIDER_OPTIONS,
+    },
+  });
+
+  if (flags.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return;
+  }
+  if (!flags.s || !flags.l) {
+    throw usageError('Both --s and --l are required');
+  }
+
+  const saturations = parseValues(flags.s, 's');
+  const lightnesses = parseValues(flags.l, 'l');
+  const resolution = readNumber(flags.resolution, 'resolution') ?? 1;
+  const saveEvery = readNumber(flags['save-every'], 'save-every') ?? 10;
+  const provider = await setupProvider(flags);
+
+  // Names from different providers or resolutions must not be mixed
+  const atlas = (await readAtlas(flags.out)) ?? createAtlas(provider.id, resolution);
+  if (atlas.provider !== provider.id || atlas.resolution !== resolution) {
+    throw new Error(
+      `${flags.out} holds ${atlas.provider} names at ${atlas.resolution}°; ` +
+      `crawling ${provider.id} at ${resolution}° needs a different --out`
+    );
+  }
+
+  const points = saturations.flatMap(saturation => lightnesses.map(lightness => ({ saturation, lightness })));
+  const counts = { added: 0, changed: 0, unchanged: 0, skipped: 0, failed: 0, requests: 0 };
+  const changedKeys = [];
+  let unsaved = 0;
+
+  for (const [index, { saturation, lightness }] of points.entries()) {
+    const key = atlasKey(saturation, lightness);
+    const previous = atlas.slices[key];
+    if (previous && !flags.refresh) {
+      counts.skipped++;
+      continue;
+    }
+
+    const { colors, stats } = await discoverDistinctColors(saturation, lightness, { signal, resolution });
+    counts.requests += stats.requests;
+
+    // A partial slice would read as fewer names; leave the point uncovered
+    if (stats.failedHues.length > 0) {
+      counts.failed++;
+      console.error(`⚠️ S=${saturation} L=${lightness}: ${stats.failedHues.length} hues failed, not recorded`);
+      continue;
+    }
+
+    const slice = sliceFromColors(colors);
+    if (!previous) {
+      counts.added++;
+    } else if (JSON.stringify(previous) === JSON.stringify(slice)) {
+      counts.unchanged++;
+    } else {
+      counts.changed++;
+      changedKeys.push(key);
+    }
+    atlas.slices[key] = slice;
+
+    console.error(`[${index + 1}/${points.length}] S=${saturation} L=${lightness}: ${colors.length} names`);
+    if (++unsaved >= saveEvery) {
+      await saveAtlas(flags.out, atlas);
+      unsaved = 0;
+    }
+  }
+
+  await saveAtlas(flags.out, atlas);
+  await saveRecording(flags);
+
+  console.error(`🗺️ ${flags.out}: ${Object.keys(atlas.slices).length} slices (${counts.added} added, ${counts.changed} changed, ${counts.unchanged} unchanged, ${counts.skipped} already present, ${counts.failed} failed) with ${counts.requests} API requests`);
+  if (changedKeys.length > 0) {
+    console.error(`Changed since the last crawl: ${changedKeys.slice(0, 20).join('  ')}${changedKeys.length > 20 ? '  …' : ''}`);
+  }
+  if (counts.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+runCli(main, USAGE);
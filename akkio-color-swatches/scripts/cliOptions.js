@@ -0,0 +1,206 @@
+/**
+ * Shared CLI Helpers
+ *
+ * Argument parsing, provider setup and error reporting shared by the
+ * scripts in this directory, so every script takes S/L values and provider
+ * flags the same way.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import {
+  configureColorProvider,
+  configureFixtureRecorder,
+  configureLogger,
+  configureRequestLimits,
+  getFixtureRecorder,
+} from '../src/services/colorApi.js';
+import { createProvidersFromEnv } from '../src/services/colorProviders.js';
+import {
+  createFixtureRecorder,
+  createReplayProvider,
+  serializeFixture,
+} from '../src/services/fixtures.js';
+
+/** parseArgs definitions for the provider and request-limit flags */
+export const PROVIDER_OPTIONS = {
+  provider: { type: 'string' },
+  endpoint: { type: 'string' },
+  fields: { type: 'string' },
+  fallback: { type: 'string' },
+  concurrency: { type: 'string' },
+  rate: { type: 'string' },
+  record: { type: 'string' },
+  replay: { type: 'string' },
+  latency: { type: 'string' },
+  'error-rate': { type: 'string' },
+  'error-status': { type: 'string' },
+};
+
+export const VALUES_USAGE = `Values are a number, a range "from..to" or "from..to:step" (step defaults
+to 1), or a comma-separated list of those, all within 0-100:
+  --s 50          --l 40..60:5          --s 30,50,70..90:10`;
+
+export const PROVIDER_USAGE = `      --provider <id>      thecolorapi (default), json, mock or local
+                           (offline, CSS color names, not The Color API's)
+      --endpoint <url>     Base URL (thecolorapi) or URL template with
+                           {h}, {s}, {l} (json)
+      --fields <json>      Field map for the json provider
+      --fallback local     Name colors offline (CSS color names) when the
+                           provider is unreachable
+      --concurrency <n>    Max requests in flight (default 8)
+      --rate <n>           Max requests started per second (default 25)
+      --record <file>      Save every lookup to a replay fixture
+      --replay <file>      Answer only from a recorded fixture (no network)
+      --latency <ms>       Replay: delay before each answer
+      --error-rate <0-1>   Replay: share of lookups that fail
+      --error-status <n>   Replay: HTTP status of those failures (default 500)`;
+
+/**
+ * Usage mistakes: reported with the usage text rather than a stack trace
+ */
+export function usageError(message) {
+  const error = new Error(message);
+  error.isUsageError = true;
+  return error;
+}
+
+/**
+ * Parses "50", "40..80", "40..80:10" or a comma-separated list of them
+ * into a sorted list of unique integers within 0-100
+ * @param {string} text - Flag value
+ * @param {string} flag - Flag name, for error messages
+ * @returns {number[]}
+ */
+export function parseValues(text, flag) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = /^(\d+)(?:\.\.(\d+)(?::(\d+))?)?$/.exec(part.trim());
+    if (!match) {
+      throw usageError(`Invalid --${flag} value "${part.trim()}"`);
+    }
+
+    const from = Number(match[1]);
+    const to = match[2] === undefined ? from : Number(match[2]);
+    const step = match[3] === undefined ? 1 : Number(match[3]);
+    if (from > 100 || to > 100 || from > to || step < 1) {
+      throw usageError(`Invalid --${flag} range "${part.trim()}": values must be 0-100, ascending, with a step of 1 or more`);
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Reads an optional positive number flag
+ * @returns {number|undefined}
+ */
+export function readNumber(value, flag) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!(number > 0)) {
+    throw usageError(`--${flag} must be a positive number`);
+  }
+  return number;
+}
+
+/**
+ * Builds the replay provider for `--replay`, reading the fixture up front
+ * so a missing or malformed file fails before any work starts
+ */
+async function createReplayFromFlags(flags) {
+  const errorRate = flags['error-rate'] === undefined ? 0 : Number(flags['error-rate']);
+  if (!(errorRate >= 0 && errorRate <= 1)) {
+    throw usageError('--error-rate must be between 0 and 1');
+  }
+
+  const provider = createReplayProvider({
+    fixture: JSON.parse(await readFile(flags.replay, 'utf8')),
+    latency: readNumber(flags.latency, 'latency'),
+    errorRate,
+    errorStatus: readNumber(flags['error-status'], 'error-status'),
+  });
+  return { provider, fallback: null };
+}
+
+/**
+ * Configures the provider and request caps from flags, falling back to the
+ * same VITE_COLOR_* variables the app reads. `--replay` replaces the
+ * provider with a fixture; `--record` starts capturing lookups for
+ * saveRecording().
+ * @param {Object} flags - Parsed flags including PROVIDER_OPTIONS
+ * @returns {Promise<Object>} The active provider
+ */
+export async function setupProvider(flags) {
+  if (flags.record && flags.replay) {
+    throw usageError('--record and --replay cannot be combined');
+  }
+  const { provider, fallback } = flags.replay
+    ? await createReplayFromFlags(flags)
+    : createProvidersFromEnv({
+      VITE_COLOR_PROVIDER: flags.provider ?? process.env.VITE_COLOR_PROVIDER,
+      VITE_COLOR_ENDPOINT: flags.endpoint ?? process.env.VITE_COLOR_ENDPOINT,
+      VITE_COLOR_FIELDS: flags.fields ?? process.env.VITE_COLOR_FIELDS,
+      VITE_COLOR_FALLBACK: flags.fallback ?? process.env.VITE_COLOR_FALLBACK,
+    });
+  configureColorProvider(provider, { fallback });
+
+  if (flags.record) {
+    configureFixtureRecorder(createFixtureRecorder(provider.id));
+  }
+
+  const limits = {
+    concurrency: readNumber(flags.concurrency, 'concurrency'),
+    requestsPerSecond: readNumber(flags.rate, 'rate'),
+  };
+  configureRequestLimits(Object.fromEntries(
+    Object.entries(limits).filter(([, value]) => value !== undefined)
+  ));
+
+  return provider;
+}
+
+/**
+ * Writes what `--record` captured, if recording
+ * @param {Object} flags - Parsed flags including PROVIDER_OPTIONS
+ */
+export async function saveRecording(flags) {
+  const recorder = getFixtureRecorder();
+  if (!flags.record || !recorder) return;
+
+  await writeFile(flags.record, serializeFixture(recorder.toFixture()));
+  console.error(`⏺️ ${flags.record}: ${recorder.size} recorded responses`);
+}
+
+/**
+ * Runs a script's main function with the process arguments. Service logging
+ * goes to stderr (see configureLogger) so stdout only carries results;
+ * failures set the exit code
+ * (2 for usage mistakes, 130 when cancelled, 1 otherwise).
+ * @param {Function} main - `async (argv, signal) => void`
+ * @param {string} usage - Usage text shown with usage mistakes
+ */
+export function runCli(main, usage) {
+  configureLogger({ log: console.error, warn: console.warn });
+
+  // Ctrl+C cancels queued lookups instead of leaving them to drain
+  const abortController = new AbortController();
+  process.once('SIGINT', () => abortController.abort());
+
+  main(process.argv.slice(2), abortController.signal).catch(error => {
+    if (error.name === 'AbortError') {
+      console.error('Cancelled');
+      process.exitCode = 130;
+    } else if (error.isUsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+      console.error(`✖ ${error.message}\n\n${usage}`);
+      process.exitCode = 2;
+    } else {
+      console.error(`✖ ${error.message}`);
+      process.exitCode = 1;
+    }
+  });
+}
@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+/**
+ * Distinct-Name Discovery CLI
+ *
+ * Runs the app's adaptive discovery (src/services/colorApi.js) from Node,
+ * for one S/L pair or a whole range, and prints the distinct names with
+ * their hue band, RGB and hex as JSON, CSV or a table:
+ *
+ *   npm run discover -- --s 40..80:10 --l 50 --format csv > colors.csv
+ *
+ * Providers are configured like the app, from the same VITE_COLOR_*
+ * variables or the matching flags, so a script can use The Color API, a
+ * JSON endpoint (e.g. a mock server), or the offline `local` namer. With
+ * `--atlas`, S/L points a name atlas covers are answered without lookups.
+ * `--record` saves a run's lookups to a fixture and `--replay` serves later
+ * runs from it alone (see src/services/fixtures.js).
+ *
+ * Results go to stdout; call counts and the service's own logging go to
+ * stderr, so output can be piped or redirected cleanly.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { configureNameAtlas, discoverDistinctColors } from '../src/services/colorApi.js';
+import { validateAtlas } from '../src/services/nameAtlas.js';
+import {
+  PROVIDER_OPTIONS,
+  PROVIDER_USAGE,
+  VALUES_USAGE,
+  parseValues,
+  readNumber,
+  runCli,
+  saveRecording,
+  setupProvider,
+  usageError,
+} from './cliOptions.js';
+
+const FORMATS = ['json', 'csv', 'table'];
+
+const USAGE = `Usage: npm run discover -- --s <values> --l <values> [options]
+
+${VALUES_USAGE}
+
+Options:
+  -s, --s <values>         Saturation values (required)
+  -l, --l <values>         Lightness values (required)
+  -f, --format <format>    json (default), csv or table
+      --resolution <deg>   Boundary resolution in degrees (default 1)
+      --atlas <file>       Answer S/L points the name atlas covers from it
+${PROVIDER_USAGE}
+  -h, --help               Show this help
+
+Provider flags override the VITE_COLOR_* environment variables.`;
+
+/**
+ * One output row per distinct color
+ */
+function toRow({ saturation, lightness }, color) {
+  return {
+    saturation,
+    lightness,
+    name: color.name,
+    hue: color.hue,
+    hueStart: color.hueStart,
+    hueEnd: color.hueEnd,
+    hueSpan: color.hueSpan,
+    hex: color.hex,
+    rgb: color.rgb,
+  };
+}
+
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatJson(report) {
+  return JSON.stringify(report, null, 2) + '\n';
+}
+
+function formatCsv(report) {
+  const header = 'saturation,lightness,name,hue,hue_start,hue_end,hue_span,hex,red,green,blue';
+  const lines = report.slices.flatMap(slice => slice.colors.map(row => [
+    row.saturation,
+    row.lightness,
+    row.name,
+    row.hue,
+    row.hueStart,
+    row.hueEnd,
+    row.hueSpan,
+    row.hex,
+    row.rgb.red,
+    row.rgb.green,
+    row.rgb.blue,
+  ].map(csvField).join(',')));
+  return [header, ...lines].join('\n') + '\n';
+}
+
+function formatTable(report) {
+  const header = ['S', 'L', 'Name', 'Hue band', 'Hex', 'RGB'];
+  const rows = report.slices.flatMap(slice => slice.colors.map(row => [
+    `${row.saturation}%`,
+    `${row.lightness}%`,
+    row.name,
+    row.hueSpan ? `${row.hueStart}°–${row.hueEnd}° (${row.hueSpan}°)` : `${row.hue}°`,
+    row.hex,
+    `${row.rgb.red}, ${row.rgb.green}, ${row.rgb.blue}`,
+  ]));
+
+  const widths = header.map((title, column) => (
+    Math.max(title.length, ...rows.map(row => row[column].length))
+  ));
+  const line = cells => cells.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+  return [
+    line(header),
+    line(widths.map(width => '-'.repeat(width))),
+    ...rows.map(line),
+  ].join('\n') + '\n';
+}
+
+const FORMATTERS = { json: formatJson, csv: formatCsv, table: formatTable };
+
+async function main(argv, signal) {
+  const { values: flags } = parseArgs({
+    args: argv,
+    options: {
+      s: { type: 'string', short: 's' },
+      l: { type: 'string', short: 'l' },
+      format: { type: 'string', short: 'f', default: 'json' },
+      resolution: { type: 'string' },
+      atlas: { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+      ...PROVIDER_OPTIONS,
+    },
+  });
+
+  if (flags.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return;
+  }
+  if (!flags.s || !flags.l) {
+    throw usageError('Both --s and --l are required');
+  }
+  if (!FORMATS.includes(flags.format)) {
+    throw usageError(`Unknown format "${flags.format}": use ${FORMATS.join(', ')}`);
+  }
+
+  const saturations = parseValues(flags.s, 's');
+  const lightnesses = parseValues(flags.l, 'l');
+  const resolution = readNumber(flags.resolution, 'resolution') ?? 1;
+  const provider = await setupProvider(flags);
+
+  if (flags.atlas) {
+    configureNameAtlas(validateAtlas(JSON.parse(await readFile(flags.atlas, 'utf8'))));
+  }
+
+  // Slices run one after another; lookups within a slice run in parallel
+  // under the scheduler's caps, and all slices share one in-memory cache
+  const slices = [];
+  for (const saturation of saturations) {
+    for (const lightness of lightnesses) {
+      const { colors, stats } = await discoverDistinctColors(saturation, lightness, {
+        signal,
+        resolution,
+      });
+      slices.push({
+        saturation,
+        lightness,
+        requests: stats.requests,
+        samples: stats.samples,
+        failedHues: stats.failedHues,
+        source: stats.source,
+        colors: colors.map(color => toRow({ saturation, lightness }, color)),
+      });
+    }
+  }
+  await saveRecording(flags);
+
+  const totals = {
+    slices: slices.length,
+    names: slices.reduce((total, slice) => total + slice.colors.length, 0),
+    requests: slices.reduce((total, slice) => total + slice.requests, 0),
+    samples: slices.reduce((total, slice) => total + slice.samples, 0),
+  };
+
+  const report = { provider: provider.id, resolution, totals, slices };
+  process.stdout.write(FORMATTERS[flags.format](report));
+
+  console.error(`📊 ${totals.slices} slices, ${totals.names} names: ${totals.requests} API requests for ${totals.samples} samples (${totals.samples - totals.requests} from cache)`);
+  const fromAtlas = slices.filter(slice => slice.source === 'atlas').length;
+  if (fromAtlas > 0) {
+    console.error(`🗺️ ${fromAtlas} of ${slices.length} slices came from the name atlas`);
+  }
+  const failed = slices.filter(slice => slice.failedHues.length > 0);
+  if (failed.length > 0) {
+    console.error(`⚠️ ${failed.length} slices are partial; see failedHues in the JSON output`);
+    process.exitCode = 1;
+  }
+}
+
+runCli(main, USAGE);
@@ -4,26 +4,138 @@
  * Orchestrates the Color Swatches application, managing state and coordinating
  * between the Controls and ColorGrid components. Implements efficient API
  * call strategy with error handling.
+ *
+ * The grid shows one slice: a color model with two axes fixed and the third
+ * swept (HSL hue at a given S/L by default). The map, compare and audit
+ * tools work on HSL S/L points, kept in `values` from the last HSL hue slice.
  */
 
-import { useState, useCallback, useEffect, useRef } from 'react';
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import ErrorBoundary from './components/ErrorBoundary';
 import Controls from './components/Controls';
 import ColorGrid from './components/ColorGrid';
-import { fetchDistinctColors } from './services/colorApi';
+import CachePanel from './components/CachePanel';
+import AuditPanel from './components/AuditPanel';
+import NameMap from './components/NameMap';
+import ExportMenu from './components/ExportMenu';
+import FixturePanel from './components/FixturePanel';
+import SwatchDetail from './components/SwatchDetail';
+import ContrastControls from './components/ContrastControls';
+import PaletteTray from './components/PaletteTray';
+import GridOptions from './components/GridOptions';
+import CompareView from './components/CompareView';
+import { getColorProvider, isHueInRegion, lookupErrorKind } from './services/colorApi';
+import { discoverSliceColors, findConfusableNeighbours, retrySliceColors } from './services/discoveryClient';
+import { describeSlice, hslSlice, isHslHueSlice, sameSlice, sweepAxis } from './services/colorModels';
+import { sortColors, filterColors, groupByHueFamily } from './services/colorSort';
+import { readUrlState, writeUrlState } from './services/urlState';
+import { CONTRAST_LEVELS, contrastRatio, findAccessiblePairs } from './services/wcag';
+import { CVD_MODES } from './services/colorVision';
+import { loadPalettes, savePalettes, pinSwatch, isPinned, getActivePalette } from './services/paletteStore';
 import './App.css';
 
+// Explorer state starts from the URL, so shared links open where they were made
+const initialUrlState = readUrlState();
+
 function App() {
   const [colors, setColors] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [slice, setSlice] = useState(initialUrlState.slice);
+  const [values, setValues] = useState(() => (
+    isHslHueSlice(initialUrlState.slice)
+      ? { saturation: initialUrlState.slice.fixed.s, lightness: initialUrlState.slice.fixed.l }
+      : { saturation: 50, lightness: 50 }
+  ));
+  const [view, setView] = useState(initialUrlState.view);
+  const [sort, setSort] = useState(initialUrlState.sort);
+  const [grouped, setGrouped] = useState(false);
+  const [filterQuery, setFilterQuery] = useState('');
+  const [minContrast, setMinContrast] = useState(0);
+  const [selected, setSelected] = useState(initialUrlState.selected);
+  const [progress, setProgress] = useState(null);
+  const [failedHues, setFailedHues] = useState([]);
+  const [contrastBackground, setContrastBackground] = useState('#111113');
+  const [pairMode, setPairMode] = useState(false);
+  const [pairLevel, setPairLevel] = useState('AA');
+  const [simulation, setSimulation] = useState('none');
+  const [palettes, setPalettes] = useState(loadPalettes);
+  const [searchTarget, setSearchTarget] = useState(null);
+  const [highlight, setHighlight] = useState(null);
   const abortControllerRef = useRef(null);
+  // The last complete discovery, kept so Retry can fill in its failed hues
+  const lastRunRef = useRef(null);
+  const urlSyncedRef = useRef(false);
+
+  // Sorted, filtered and (optionally) grouped: what the grid shows, in the
+  // order it shows it
+  const shownColors = useMemo(() => filterColors(sortColors(colors, sort), {
+    query: filterQuery,
+    minContrast,
+    background: contrastBackground,
+  }), [colors, sort, filterQuery, minContrast, contrastBackground]);
+  const colorGroups = useMemo(
+    () => (grouped ? groupByHueFamily(shownColors) : null),
+    [grouped, shownColors]
+  );
+  const displayedColors = useMemo(
+    () => (colorGroups ? colorGroups.flatMap(group => group.colors) : shownColors),
+    [colorGroups, shownColors]
+  );
+  const selectedColors = useMemo(
+    () => colors.filter(color => color.name === selected),
+    [colors, selected]
+  );
+  const pairAnchor = pairMode ? selectedColors[0] ?? null : null;
+
+  // Neighbouring swatches that blur together under the simulation, worked
+  // out in the discovery worker; a newer grid cancels the previous check
+  const [confusablePairs, setConfusablePairs] = useState([]);
+  useEffect(() => {
+    const abortController = new AbortController();
+    findConfusableNeighbours(displayedColors, simulation, { signal: abortController.signal })
+      .then(setConfusablePairs)
+      .catch(err => {
+        if (err.name !== 'AbortError') console.error('Confusable check failed:', err);
+      });
+    return () => abortController.abort();
+  }, [displayedColors, simulation]);
+
+  // As name -> names it's confusable with
+  const confusableNames = useMemo(() => {
+    const byName = new Map();
+    for (const { first, second } of confusablePairs) {
+      byName.set(first.name, [...(byName.get(first.name) || []), second.name]);
+      byName.set(second.name, [...(byName.get(second.name) || []), first.name]);
+    }
+    return byName;
+  }, [confusablePairs]);
 
-  // Handle changes from the Controls component (debounced)
-  const handleValuesChange = useCallback(async ({ saturation, lightness }) => {
+  // Pair checker summary: partners of the anchor, or every passing pair
+  // in the grid until a swatch is picked as anchor
+  // Names the offline fallback filled in come from a different name set
+  const fallbackNamedCount = useMemo(() => colors.filter(color => color.namedBy).length, [colors]);
+  const providerNaming = getColorProvider().naming;
+
+  const pairSummary = useMemo(() => {
+    if (!pairMode) return null;
+    const minRatio = CONTRAST_LEVELS[pairLevel];
+    if (pairAnchor) {
+      const partners = colors.filter(color =>
+        color.name !== pairAnchor.name && contrastRatio(color.rgb, pairAnchor.rgb) >= minRatio
+      );
+      return `${partners.length} of ${colors.length - 1} colors meet ${pairLevel} with ${pairAnchor.name}, as text or background`;
+    }
+    const pairCount = findAccessiblePairs(colors, minRatio).length;
+    return `${pairCount} color pairs in this grid meet ${pairLevel}. Select a swatch to see which colors pair with it.`;
+  }, [pairMode, pairLevel, pairAnchor, colors]);
+
+  // Handle changes from the Controls component (debounced). Given the
+  // slice's previous result, only its failed hues are looked up again.
+  const handleSliceChange = useCallback(async (nextSlice, previousRun = null) => {
     // Validate inputs
-    if (saturation === undefined || lightness === undefined) {
-      console.warn('Invalid input values:', { saturation, lightness });
+    if (!nextSlice?.fixed) {
+      console.warn('Invalid slice:', nextSlice);
       return;
     }
 
@@ -36,17 +148,38 @@ function App() {
     const abortController = new AbortController();
     abortControllerRef.current = abortController;
 
+    setSlice(current => (sameSlice(current, nextSlice) ? current : nextSlice));
+    if (isHslHueSlice(nextSlice)) {
+      const { s: saturation, l: lightness } = nextSlice.fixed;
+      setValues(current => (
+        current.saturation === saturation && current.lightness === lightness
+          ? current
+          : { saturation, lightness }
+      ));
+    }
     setIsLoading(true);
     setError(null);
+    setProgress(null);
+    setFailedHues([]);
 
     try {
       // Use optimized adaptive fetching strategy with abort support
-      // This intelligently samples the color space and only fetches what's needed
-      const distinctColors = await fetchDistinctColors(
-        saturation,
-        lightness,
-        abortController.signal
-      );
+      // This intelligently samples the color space and only fetches what's needed.
+      // Colors stream into the grid as coarse samples and boundaries arrive.
+      // Hues that fail after retries are skipped, leaving a partial result.
+      // It all runs in the discovery worker, so rendering stays responsive.
+      const options = {
+        signal: abortController.signal,
+        onProgress: ({ colors: partialColors, completed, planned, distinctCount }) => {
+          if (abortController.signal.aborted) return;
+          setColors(partialColors);
+          setProgress({ completed, planned, distinctCount });
+        },
+      };
+      const run = previousRun
+        ? await retrySliceColors(nextSlice, previousRun, options)
+        : await discoverSliceColors(nextSlice, options);
+      const { colors: distinctColors, stats } = run;
 
       // Check if this request was aborted
       if (abortController.signal.aborted) {
@@ -58,6 +191,8 @@ function App() {
       }
 
       setColors(distinctColors);
+      setFailedHues(stats.failedHues);
+      lastRunRef.current = { slice: nextSlice, run };
       setError(null); // Clear any previous errors
     } catch (err) {
       // Ignore abort errors - they're expected when user changes values quickly
@@ -67,14 +202,22 @@ function App() {
 
       console.error('Failed to fetch colors:', err);
 
-      // Provide user-friendly error messages
+      // Provide user-friendly error messages, by the kind of failure
       let errorMessage = 'Failed to load colors. ';
-      if (err.message.includes('Failed to fetch')) {
-        errorMessage += 'Please check your internet connection and try again.';
-      } else if (err.message.includes('CORS')) {
-        errorMessage += 'There was an issue connecting to the color service. Please try again.';
-      } else {
-        errorMessage += err.message || 'Please try again.';
+      switch (lookupErrorKind(err)) {
+        case 'network':
+          errorMessage += 'The color service could not be reached. Please check your internet connection and try again.';
+          break;
+        case 'rate-limit':
+          errorMessage += err.retryAfter
+            ? `The color service is limiting requests. Please try again in ${Math.ceil(err.retryAfter / 1000)} seconds.`
+            : 'The color service is limiting requests. Please wait a moment and try again.';
+          break;
+        case 'server':
+          errorMessage += `The color service had an error (HTTP ${err.status}). Please try again.`;
+          break;
+        default:
+          errorMessage += err.message || 'Please try again.';
       }
 
       setError(errorMessage);
@@ -86,15 +229,203 @@ function App() {
     }
   }, []);
 
+  // Looks up only the failed hues and merges them into the partial result
+  const handleRetry = useCallback(() => {
+    const lastRun = lastRunRef.current;
+    handleSliceChange(slice, lastRun && sameSlice(lastRun.slice, slice) ? lastRun.run : null);
+  }, [handleSliceChange, slice]);
+
+  // Clicking the name map opens that S/L in the grid; Controls picks up the
+  // new slice and requests it through its usual debounce
+  const handleMapSelect = useCallback(({ saturation, lightness }) => {
+    setSlice(hslSlice(saturation, lightness));
+    setView('grid');
+  }, []);
+
+  // Clicking the selected swatch again clears the selection
+  const handleSwatchSelect = useCallback(color => {
+    setSelected(current => (current === color.name ? null : color.name));
+  }, []);
+
+  const handleDetailClose = useCallback(() => {
+    setSelected(null);
+  }, []);
+
+  const handlePin = useCallback(color => {
+    setPalettes(current => pinSwatch(current, color));
+  }, []);
+
+  const isColorPinned = useCallback(color => isPinned(palettes, color), [palettes]);
+
+  useEffect(() => {
+    savePalettes(palettes);
+  }, [palettes]);
+
+  // Moves the grid to a slice; the swatch named `name`, or else the one
+  // whose band contains `position`, is picked once that slice has loaded
+  const openSliceAt = useCallback(target => {
+    setSlice(target.slice);
+    setView('grid');
+    setSearchTarget(target);
+  }, []);
+
+  // A search result opens the HSL hue slice at its S/L
+  const handleSearch = useCallback(target => {
+    openSliceAt({
+      name: target.name,
+      slice: hslSlice(target.saturation, target.lightness),
+      position: target.hue,
+    });
+  }, [openSliceAt]);
+
+  // A pinned swatch opens the slice it was found in with its color selected
+  // (pins from before color models only know their S/L)
+  const handlePinnedNavigate = useCallback(swatch => {
+    openSliceAt({
+      name: swatch.name,
+      slice: swatch.slice ?? hslSlice(swatch.saturation, swatch.lightness),
+      position: swatch.slice ? swatch.position : swatch.hue,
+    });
+  }, [openSliceAt]);
+
+  useEffect(() => {
+    if (!searchTarget || isLoading || colors.length === 0) return;
+    // Until the new slice is requested, the grid still shows the old one
+    const loaded = colors[0].slice ?? hslSlice(colors[0].saturation, colors[0].lightness);
+    if (!sameSlice(loaded, searchTarget.slice)) return;
+
+    // Name matches select that name; color codes select whichever name's
+    // band contains the position
+    const match = colors.find(color => color.name === searchTarget.name) ||
+      colors.find(color => color.hueRegions?.some(region => isHueInRegion(searchTarget.position, region)));
+
+    setSearchTarget(null);
+    if (match) {
+      setSelected(match.name);
+      setHighlight({ name: match.name });
+    }
+  }, [searchTarget, isLoading, colors]);
+
+  // The highlight pulse only needs to run once
+  useEffect(() => {
+    if (!highlight) return undefined;
+    const timer = setTimeout(() => setHighlight(null), 3000);
+    return () => clearTimeout(timer);
+  }, [highlight]);
+
   // Load initial colors on mount
   useEffect(() => {
-    handleValuesChange({ saturation: 50, lightness: 50 });
-  }, [handleValuesChange]);
+    handleSliceChange(initialUrlState.slice);
+  }, [handleSliceChange]);
+
+  // Every change becomes a history entry; the first write only normalizes
+  // the URL the app was opened with
+  useEffect(() => {
+    writeUrlState({ slice, view, sort, selected }, { replace: !urlSyncedRef.current });
+    urlSyncedRef.current = true;
+  }, [slice, view, sort, selected]);
+
+  // Back/forward restores an earlier exploration. Controls follows the new
+  // slice and requests it through its usual debounce; since the state
+  // now matches the URL, the effect above doesn't push it again.
+  useEffect(() => {
+    const handlePopState = () => {
+      const state = readUrlState();
+      setSlice(current => (sameSlice(current, state.slice) ? current : state.slice));
+      setView(state.view);
+      setSort(state.sort);
+      setSelected(state.selected);
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
 
   return (
     <ErrorBoundary>
       <div className="app">
-        <Controls onValuesChange={handleValuesChange} isLoading={isLoading} />
+        <Controls
+          slice={slice}
+          onSliceChange={handleSliceChange}
+          simulation={simulation}
+          onSimulationChange={setSimulation}
+          onSearch={handleSearch}
+          shownColors={colors}
+        />
+
+        <div className="toolbar">
+          <div className="view-switch" role="tablist" aria-label="View">
+            <button
+              role="tab"
+              aria-selected={view === 'grid'}
+              className={view === 'grid' ? 'active' : ''}
+              onClick={() => setView('grid')}
+            >
+              Hue grid
+            </button>
+            <button
+              role="tab"
+              aria-selected={view === 'map'}
+              className={view === 'map' ? 'active' : ''}
+              onClick={() => setView('map')}
+            >
+              S×L map
+            </button>
+            <button
+              role="tab"
+              aria-selected={view === 'compare'}
+              className={view === 'compare' ? 'active' : ''}
+              onClick={() => setView('compare')}
+            >
+              Compare
+            </button>
+          </div>
+
+          <ContrastControls
+            background={contrastBackground}
+            onBackgroundChange={setContrastBackground}
+            pairMode={pairMode}
+            onPairModeChange={setPairMode}
+            pairLevel={pairLevel}
+            onPairLevelChange={setPairLevel}
+          />
+          <ExportMenu
+            colors={displayedColors}
+            selectedColors={selectedColors}
+            palette={getActivePalette(palettes)}
+            sliceLabel={describeSlice(slice)}
+          />
+          {/* The audit checks HSL hue slices only */}
+          {isHslHueSlice(slice) && (
+            <AuditPanel saturation={values.saturation} lightness={values.lightness} />
+          )}
+          <CachePanel />
+          <FixturePanel />
+          {providerNaming && (
+            <span
+              className="naming-badge"
+              title="This provider uses its own name set, so names differ from The Color API's"
+            >
+              Names: {providerNaming}
+            </span>
+          )}
+        </div>
+
+        {view === 'grid' && (
+          <GridOptions
+            axisLabel={sweepAxis(slice).label}
+            sort={sort}
+            onSortChange={setSort}
+            grouped={grouped}
+            onGroupedChange={setGrouped}
+            query={filterQuery}
+            onQueryChange={setFilterQuery}
+            minContrast={minContrast}
+            onMinContrastChange={setMinContrast}
+            shownCount={displayedColors.length}
+            totalCount={colors.length}
+          />
+        )}
 
         {error && (
           <div className="error-banner">
@@ -110,7 +441,89 @@ function App() {
           </div>
         )}
 
-        <ColorGrid colors={colors} isLoading={isLoading} />
+        {!error && !isLoading && failedHues.length > 0 && (
+          <div className="error-banner partial-banner">
+            <span className="error-icon">⚠️</span>
+            <span>
+              {failedHues.length} {failedHues.length === 1 ? 'hue' : 'hues'} could not be
+              resolved, so some names may be missing.
+            </span>
+            <button onClick={handleRetry} className="retry-button">
+              Retry
+            </button>
+          </div>
+        )}
+
+        {!error && !isLoading && fallbackNamedCount > 0 && (
+          <div className="error-banner partial-banner" role="status">
+            <span className="error-icon">⚠️</span>
+            <span>
+              {fallbackNamedCount} {fallbackNamedCount === 1 ? 'name was' : 'names were'} given by
+              the offline fallback while the color service was unreachable. Its name set differs,
+              so these names won't match the service's.
+            </span>
+          </div>
+        )}
+
+        <PaletteTray state={palettes} onChange={setPalettes} onNavigate={handlePinnedNavigate} />
+
+        {pairSummary && view === 'grid' && (
+          <div className="pair-summary" role="status">
+            {pairSummary}
+          </div>
+        )}
+
+        {view === 'grid' && !isLoading && confusablePairs.length > 0 && (
+          <div className="error-banner partial-banner" role="status">
+            <span className="error-icon">⚠️</span>
+            <span>
+              Under {CVD_MODES.find(mode => mode.id === simulation).label.toLowerCase()},{' '}
+              {confusablePairs.length} neighbouring {confusablePairs.length === 1 ? 'pair is' : 'pairs are'} hard
+              to tell apart: {confusablePairs
+                .slice(0, 3)
+                .map(({ first, second, deltaE }) => `${first.name} / ${second.name} (ΔE ${deltaE.toFixed(1)})`)
+                .join(', ')}
+              {confusablePairs.length > 3 && ', …'}
+            </span>
+          </div>
+        )}
+
+        {view === 'map' ? (
+          <NameMap
+            saturation={values.saturation}
+            lightness={values.lightness}
+            onSelect={handleMapSelect}
+          />
+        ) : view === 'compare' ? (
+          <CompareView
+            saturation={values.saturation}
+            lightness={values.lightness}
+            sort={sort}
+          />
+        ) : (
+          <ColorGrid
+            colors={displayedColors}
+            groups={colorGroups}
+            emptyMessage={colors.length > 0 ? 'No colors match the filters' : undefined}
+            isLoading={isLoading}
+            progress={progress}
+            selectedName={selected}
+            onSelect={handleSwatchSelect}
+            contrastBackground={contrastBackground}
+            pairAnchor={pairAnchor}
+            pairMinRatio={CONTRAST_LEVELS[pairLevel]}
+            simulation={simulation}
+            confusableNames={confusableNames}
+            onPin={handlePin}
+            isPinned={isColorPinned}
+            highlight={highlight}
+          />
+        )}
+
+        {/* In pair-checker mode a click picks the anchor rather than opening details */}
+        {view === 'grid' && !pairMode && selectedColors.length > 0 && (
+          <SwatchDetail color={selectedColors[0]} onClose={handleDetailClose} />
+        )}
       </div>
     </ErrorBoundary>
   );
@@ -0,0 +1,157 @@
+/**
+ * AuditPanel Component
+ *
+ * Runs a completeness audit for the current S/L: the adaptive strategy
+ * against a full 0-359° scan, listing any names the adaptive pass missed
+ * and any hues either pass could not resolve
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { auditDistinctColors } from '../services/discoveryClient';
+import './AuditPanel.css';
+
+/**
+ * Lists the hues a pass could not resolve, if any
+ */
+function FailedHues({ label, hues }) {
+  if (hues.length === 0) return null;
+  return (
+    <li>
+      <strong>{label}</strong>: {hues.join('°, ')}°
+    </li>
+  );
+}
+
+function AuditPanel({ saturation, lightness }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [report, setReport] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const abortControllerRef = useRef(null);
+
+  // A report only describes the S/L it ran at - drop it (and any running
+  // audit) when the values change or the panel unmounts
+  useEffect(() => {
+    setReport(null);
+    setError(null);
+    return () => abortControllerRef.current?.abort();
+  }, [saturation, lightness]);
+
+  const runAudit = async () => {
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
+    setIsRunning(true);
+    setError(null);
+    try {
+      const result = await auditDistinctColors(saturation, lightness, {
+        signal: abortController.signal,
+      });
+      setReport(result);
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        setError(err.message || 'Audit failed');
+      }
+    } finally {
+      if (abortControllerRef.current === abortController) {
+        setIsRunning(false);
+      }
+    }
+  };
+
+  const isIncomplete = report !== null
+    && (report.adaptive.failedHues.length > 0 || report.exhaustive.failedHues.length > 0);
+
+  return (
+    <div className="audit-panel">
+      <button
+        className="audit-toggle"
+        onClick={() => setIsOpen(open => !open)}
+        aria-expanded={isOpen}
+      >
+        Audit
+      </button>
+
+      {isOpen && (
+        <div className="audit-popover" role="dialog" aria-label="Completeness audit">
+          <p className="audit-intro">
+            Compare the adaptive strategy with a full 360-hue scan at S={saturation}%, L={lightness}%.
+            The scan costs up to 360 API calls.
+          </p>
+
+          <button className="audit-run" onClick={runAudit} disabled={isRunning}>
+            {isRunning ? 'Auditing…' : 'Run audit'}
+          </button>
+
+          {error && <div className="audit-error">{error}</div>}
+
+          {report && (
+            <div className="audit-report">
+              <table>
+                <thead>
+                  <tr>
+                    <th></th>
+                    <th>Names</th>
+                    <th>Calls (cold)</th>
+                    <th>Requests sent</th>
+                    <th>Failed hues</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  <tr>
+                    <th>Adaptive</th>
+                    <td>{report.adaptive.names.length}</td>
+                    <td>{report.adaptive.samples}</td>
+                    <td>{report.adaptive.requests}</td>
+                    <td>{report.adaptive.failedHues.length}</td>
+                  </tr>
+                  <tr>
+                    <th>Full scan</th>
+                    <td>{report.exhaustive.names.length}</td>
+                    <td>{report.exhaustive.samples}</td>
+                    <td>{report.exhaustive.requests}</td>
+                    <td>{report.exhaustive.failedHues.length}</td>
+                  </tr>
+                </tbody>
+              </table>
+
+              {isIncomplete && (
+                <div className="audit-gaps">
+                  <div>
+                    Some hues could not be looked up, so names only seen there may be
+                    reported as missed or hide a real miss:
+                  </div>
+                  <ul>
+                    <FailedHues label="Adaptive" hues={report.adaptive.failedHues} />
+                    <FailedHues label="Full scan" hues={report.exhaustive.failedHues} />
+                  </ul>
+                </div>
+              )}
+
+              {report.missed.length === 0 ? (
+                isIncomplete ? (
+                  <div>No missed names among the hues both passes resolved</div>
+                ) : (
+                  <div className="audit-ok">✓ Adaptive pass found every name</div>
+                )
+              ) : (
+                <div className="audit-missed">
+                  <div>Missed by the adaptive pass:</div>
+                  <ul>
+                    {report.missed.map(({ name, hues }) => (
+                      <li key={name}>
+                        <strong>{name}</strong> at {hues.join('°, ')}°
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AuditPanel;
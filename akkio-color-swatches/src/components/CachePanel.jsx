@@ -0,0 +1,91 @@
+/**
+ * CachePanel Component
+ *
+ * Shows what the persistent color cache holds and lets the user purge it,
+ * either for the active provider or entirely
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { getCacheStats, clearCache } from '../services/colorApi';
+import './CachePanel.css';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function CachePanel() {
+  const [isOpen, setIsOpen] = useState(false);
+  const [stats, setStats] = useState(null);
+  const [isPurging, setIsPurging] = useState(false);
+
+  const refreshStats = useCallback(async () => {
+    setStats(await getCacheStats());
+  }, []);
+
+  // Refresh whenever the panel is opened so counts are current
+  useEffect(() => {
+    if (isOpen) {
+      refreshStats();
+    }
+  }, [isOpen, refreshStats]);
+
+  const handlePurge = async (activeProviderOnly) => {
+    setIsPurging(true);
+    try {
+      await clearCache({ activeProviderOnly });
+      await refreshStats();
+    } finally {
+      setIsPurging(false);
+    }
+  };
+
+  return (
+    <div className="cache-panel">
+      <button
+        className="cache-toggle"
+        onClick={() => setIsOpen(open => !open)}
+        aria-expanded={isOpen}
+      >
+        Cache
+      </button>
+
+      {isOpen && stats && (
+        <div className="cache-popover" role="dialog" aria-label="Color cache">
+          <div className="cache-summary">
+            <strong>{stats.entries.toLocaleString()}</strong> cached colors
+            <span className="cache-storage">
+              {stats.persistent ? 'IndexedDB' : 'memory only'}
+            </span>
+          </div>
+
+          <ul className="cache-namespaces">
+            {Object.entries(stats.namespaces).map(([namespace, count]) => (
+              <li key={namespace}>
+                <span className="cache-namespace" title={namespace}>
+                  {namespace}
+                  {namespace === stats.activeProvider && ' (active)'}
+                </span>
+                <span>{count.toLocaleString()}</span>
+              </li>
+            ))}
+            {stats.entries === 0 && <li className="cache-empty">Cache is empty</li>}
+          </ul>
+
+          <div className="cache-meta">
+            Schema v{stats.schemaVersion} · expires after {Math.round(stats.ttl / DAY)} days ·
+            max {stats.maxEntries.toLocaleString()} entries
+          </div>
+
+          <div className="cache-actions">
+            <button onClick={() => handlePurge(true)} disabled={isPurging}>
+              Purge active provider
+            </button>
+            <button onClick={() => handlePurge(false)} disabled={isPurging}>
+              Purge all
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CachePanel;
@@ -2,34 +2,245 @@
  * ColorGrid Component
  *
  * Displays a responsive grid of color swatches using virtualization
- * for optimal performance with large numbers of colors
+ * for optimal performance with large numbers of colors. While colors are
+ * still being discovered, swatches stream in under a progress bar.
+ *
+ * The grid follows the ARIA grid pattern: one cell is in the tab order
+ * (roving tabindex), arrow keys, Home/End and PageUp/PageDown move focus,
+ * scrolling the virtualized rows so the focused cell stays rendered, and
+ * Enter/Space selects. A live region announces the focused swatch.
+ *
+ * When colors are grouped, each group starts on a new row under a header
+ * row spanning the grid. Keyboard moves skip headers: Up/Down go to the same
+ * column of the neighbouring swatch row, clamped to its length.
  */
 
-import { useState, useEffect, useMemo } from 'react';
-import { Grid } from 'react-window';
+import { useState, useEffect, useMemo, useRef, useCallback, useId } from 'react';
+import { Grid, useGridRef } from 'react-window';
 import ColorSwatch from './ColorSwatch';
+import { contrastRatio } from '../services/wcag';
+import { formatSweepValue, sweepAxis } from '../services/colorModels';
 import './ColorGrid.css';
 
-function ColorGrid({ colors, isLoading = false }) {
+/**
+ * Text read out for a swatch: name, hex and the band it covers on the swept
+ * axis (hue unless the color comes from another slice)
+ */
+function describeSwatch(color) {
+  const { slice } = color;
+  if (slice) {
+    const axis = sweepAxis(slice).label.toLowerCase();
+    const band = color.hueSpan
+      ? `${axis} ${formatSweepValue(slice, color.hueStart)} to ${formatSweepValue(slice, color.hueEnd)}`
+      : `${axis} ${formatSweepValue(slice, color.position)}`;
+    return `${color.name || 'Unnamed'}, ${color.hex}, ${band}`;
+  }
+  const hue = color.hueSpan
+    ? `hue ${color.hueStart}° to ${color.hueEnd}°`
+    : `hue ${color.hue}°`;
+  return `${color.name || 'Unnamed'}, ${color.hex}, ${hue}`;
+}
+
+const HEADER_HEIGHT = 44;
+
+/**
+ * Lays colors out in rows: a header row per group (when grouped) followed
+ * by its swatches, `columnCount` to a row. Swatch rows hold the flat index
+ * range [start, end) into the concatenated groups.
+ * @returns {{rows: Object[], swatchRows: Object[], rowOf: number[]}}
+ */
+function buildRows(groups, columnCount) {
+  const rows = [];
+  const swatchRows = [];
+  const rowOf = [];
+  let start = 0;
+
+  for (const group of groups) {
+    if (group.label) {
+      rows.push({ type: 'header', label: group.label, count: group.colors.length });
+    }
+    for (let offset = 0; offset < group.colors.length; offset += columnCount) {
+      const end = start + Math.min(columnCount, group.colors.length - offset);
+      const row = { type: 'swatches', start, end, group: group.label, order: swatchRows.length };
+      for (let index = start; index < end; index++) rowOf[index] = rows.length;
+      rows.push(row);
+      swatchRows.push(row);
+      start = end;
+    }
+  }
+
+  return { rows, swatchRows, rowOf };
+}
+
+/**
+ * One grid cell. Lives at module level so cells keep their DOM (and focus)
+ * across renders; everything else arrives through `cellProps`.
+ */
+function SwatchCell({
+  ariaAttributes,
+  columnIndex,
+  rowIndex,
+  style,
+  colors,
+  rows,
+  columnCount,
+  columnWidth,
+  cellIdPrefix,
+  focusedIndex,
+  onCellFocus,
+  focusPendingRef,
+  selectedName,
+  onSelect,
+  contrastBackground,
+  pairAnchor,
+  pairMinRatio,
+  simulation,
+  confusableNames,
+  onPin,
+  isPinned,
+  highlight,
+  diffByName,
+}) {
+  const row = rows[rowIndex];
+  if (!row) return null;
+
+  // Headers are drawn once, by the first column, across the full width
+  if (row.type === 'header') {
+    if (columnIndex !== 0) return null;
+    return (
+      <div
+        {...ariaAttributes}
+        aria-colspan={columnCount}
+        style={{ ...style, width: columnWidth * columnCount }}
+        className="grid-group-header"
+      >
+        <h3>{row.label}</h3>
+        <span>{row.count}</span>
+      </div>
+    );
+  }
+
+  const index = row.start + columnIndex;
+  const color = colors[index];
+
+  if (index >= row.end || !color) {
+    return null;
+  }
+
+  // Contrast with the pair checker's anchor color (none for the anchor itself)
+  let pairCheck = null;
+  if (pairAnchor && color.name !== pairAnchor.name) {
+    const ratio = contrastRatio(color.rgb, pairAnchor.rgb);
+    pairCheck = { ratio, passes: ratio >= pairMinRatio };
+  }
+
+  const isSelected = color.name === selectedName;
+  const isFocused = index === focusedIndex;
+
+  return (
+    <div
+      {...ariaAttributes}
+      style={style}
+      id={`${cellIdPrefix}${index}`}
+      className="grid-cell"
+      tabIndex={isFocused ? 0 : -1}
+      aria-selected={isSelected}
+      aria-label={describeSwatch(color)}
+      // Keyboard moves land here once the row has been scrolled into view
+      ref={node => {
+        if (node && isFocused && focusPendingRef.current) {
+          focusPendingRef.current = false;
+          node.focus({ preventScroll: true });
+        }
+      }}
+      onFocus={() => onCellFocus(index)}
+      onClick={() => onSelect?.(color)}
+    >
+      <div className="grid-item-wrapper">
+        <ColorSwatch
+          color={color}
+          isLoading={false}
+          isSelected={isSelected}
+          focusable={false}
+          background={contrastBackground}
+          pairCheck={pairCheck}
+          simulation={simulation}
+          confusableWith={confusableNames?.get(color.name)}
+          onPin={onPin}
+          isPinned={isPinned?.(color)}
+          isHighlighted={highlight?.name === color.name}
+          diffStatus={diffByName?.get(color.name)}
+        />
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Progress bar for an in-flight discovery run
+ */
+function DiscoveryProgress({ progress }) {
+  const { completed = 0, planned = 0, distinctCount = 0 } = progress || {};
+  const percent = planned > 0 ? Math.min(100, (completed / planned) * 100) : 0;
+
+  return (
+    <div
+      className="discovery-progress"
+      role="progressbar"
+      aria-label="Discovering distinct hues"
+      aria-valuemin={0}
+      aria-valuemax={planned}
+      aria-valuenow={completed}
+    >
+      <div className="discovery-progress-text">
+        <span>Discovering distinct hues…</span>
+        <span>
+          {progress
+            ? `${completed} / ${planned} lookups · ${distinctCount} names`
+            : 'Starting…'}
+        </span>
+      </div>
+      <div className="discovery-progress-track">
+        <div className="discovery-progress-bar" style={{ width: `${percent}%` }} />
+      </div>
+    </div>
+  );
+}
+
+function ColorGrid({
+  colors,
+  label = 'Distinct colors',
+  widthRatio = 1,
+  groups = null,
+  emptyMessage = 'Adjust the Saturation and Lightness values to see colors',
+  isLoading = false,
+  progress = null,
+  selectedName = null,
+  onSelect,
+  contrastBackground = null,
+  pairAnchor = null,
+  pairMinRatio = null,
+  simulation = 'none',
+  confusableNames = null,
+  onPin,
+  isPinned,
+  highlight = null,
+  diffByName = null,
+}) {
+  // `widthRatio` is the share of the window the grid gets (e.g. 0.5 side by side)
   const [dimensions, setDimensions] = useState({
-    width: window.innerWidth,
+    width: window.innerWidth * widthRatio,
     height: window.innerHeight - 180, // Account for header/controls
   });
+  // Cell ids stay unique when several grids are on the page
+  const cellIdPrefix = `${useId()}-swatch-`;
 
   // Keep track of previous valid rowCount to prevent height jumping
   const [stableRowCount, setStableRowCount] = useState(1);
+  const gridRef = useGridRef(null);
 
   // CRITICAL: Ensure colors is always an array and never null/undefined
-  const safeColors = Array.isArray(colors) ? colors : [];
-
-  // Early return if colors is null, undefined, or not an array
-  if (!colors) {
-    return (
-      <div className="empty-state">
-        <p>Loading colors...</p>
-      </div>
-    );
-  }
+  const safeColors = useMemo(() => (Array.isArray(colors) ? colors : []), [colors]);
 
   // Calculate grid layout based on window size
   const { columnCount, columnWidth, rowHeight } = useMemo(() => {
@@ -57,7 +268,7 @@ function ColorGrid({ colors, isLoading = false }) {
     return {
       columnCount: cols,
       columnWidth: colWidth + gap,
-      rowHeight: colWidth + 100 + gap, // Square preview + info section + gap
+      rowHeight: colWidth + 124 + gap, // Square preview + info section + gap
     };
   }, [dimensions.width]);
 
@@ -65,17 +276,28 @@ function ColorGrid({ colors, isLoading = false }) {
   useEffect(() => {
     const handleResize = () => {
       setDimensions({
-        width: window.innerWidth,
+        width: window.innerWidth * widthRatio,
         height: window.innerHeight - 180,
       });
     };
 
+    handleResize();
     window.addEventListener('resize', handleResize);
     return () => window.removeEventListener('resize', handleResize);
-  }, []);
+  }, [widthRatio]);
+
+  // Ungrouped colors are one unlabelled group, so there are no header rows
+  const { rows, swatchRows, rowOf } = useMemo(
+    () => buildRows(groups || [{ label: null, colors: safeColors }], columnCount),
+    [groups, safeColors, columnCount]
+  );
+  const getRowHeight = useCallback(
+    index => (rows[index]?.type === 'header' ? HEADER_HEIGHT : rowHeight),
+    [rows, rowHeight]
+  );
 
   // Calculate row count
-  const rowCount = Math.max(1, Math.ceil(safeColors.length / columnCount));
+  const rowCount = Math.max(1, rows.length);
 
   // Update stable row count only when not loading
   useEffect(() => {
@@ -84,28 +306,160 @@ function ColorGrid({ colors, isLoading = false }) {
     }
   }, [rowCount, isLoading]);
 
-  // Cell renderer for react-window
-  const Cell = ({ columnIndex, rowIndex, style }) => {
-    const index = rowIndex * columnCount + columnIndex;
-    const color = safeColors[index];
+  // Bring a highlighted swatch (e.g. a search result) into view once it's
+  // in the grid. `highlight` is a new object per request, so repeating a
+  // search scrolls again, but streaming colors don't re-scroll.
+  const scrolledHighlightRef = useRef(null);
+  useEffect(() => {
+    if (!highlight || scrolledHighlightRef.current === highlight) return;
+    const index = safeColors.findIndex(color => color.name === highlight.name);
+    if (index === -1) return;
+    scrolledHighlightRef.current = highlight;
+    gridRef.current?.scrollToRow({
+      index: rowOf[index],
+      align: 'smart',
+      behavior: 'smooth',
+    });
+  }, [highlight, safeColors, rowOf, gridRef]);
+
+  // Roving tabindex: the one cell in the tab order
+  const [focusedIndex, setFocusedIndex] = useState(0);
+  const [announcement, setAnnouncement] = useState('');
+  const focusPendingRef = useRef(false);
+  const activeIndex = Math.min(focusedIndex, Math.max(0, safeColors.length - 1));
+
+  // Page moves cover the rows that fit on screen
+  const rowsPerPage = Math.max(1, Math.floor(dimensions.height / rowHeight));
+
+  const moveFocus = useCallback((index) => {
+    const target = Math.max(0, Math.min(safeColors.length - 1, index));
+    focusPendingRef.current = true;
+    setFocusedIndex(target);
+    const group = rows[rowOf[target]].group;
+    setAnnouncement(
+      `${describeSwatch(safeColors[target])}. ${group ? `${group}, ` : ''}${target + 1} of ${safeColors.length}`
+    );
+    gridRef.current?.scrollToRow({ index: rowOf[target], align: 'smart' });
+
+    // Already rendered (the usual case): focus it now rather than on the next render
+    const cell = gridRef.current?.element?.querySelector(`[id="${cellIdPrefix}${target}"]`);
+    if (cell) {
+      focusPendingRef.current = false;
+      cell.focus({ preventScroll: true });
+    }
+  }, [safeColors, rows, rowOf, gridRef, cellIdPrefix]);
+
+  // Same column in the swatch row `delta` rows away (clamped to the first
+  // and last rows), or the row's last swatch if it's shorter
+  const indexRowsAway = (index, delta) => {
+    const row = rows[rowOf[index]];
+    const order = Math.max(0, Math.min(swatchRows.length - 1, row.order + delta));
+    const target = swatchRows[order];
+    return Math.min(target.start + index - row.start, target.end - 1);
+  };
 
-    if (index >= safeColors.length || !color) {
-      return null;
+  const handleKeyDown = (e) => {
+    if (safeColors.length === 0) return;
+    const index = activeIndex;
+    const row = rows[rowOf[index]];
+
+    switch (e.key) {
+      case 'ArrowRight':
+        moveFocus(index + 1);
+        break;
+      case 'ArrowLeft':
+        moveFocus(index - 1);
+        break;
+      case 'ArrowDown':
+        if (row.order < swatchRows.length - 1) moveFocus(indexRowsAway(index, 1));
+        break;
+      case 'ArrowUp':
+        if (row.order > 0) moveFocus(indexRowsAway(index, -1));
+        break;
+      case 'Home':
+        moveFocus(e.ctrlKey ? 0 : row.start);
+        break;
+      case 'End':
+        moveFocus(e.ctrlKey ? safeColors.length - 1 : row.end - 1);
+        break;
+      case 'PageDown':
+        moveFocus(indexRowsAway(index, rowsPerPage));
+        break;
+      case 'PageUp':
+        moveFocus(indexRowsAway(index, -rowsPerPage));
+        break;
+      case 'Enter':
+      case ' ': {
+        const color = safeColors[index];
+        onSelect?.(color);
+        setAnnouncement(`${color.name === selectedName ? 'Deselected' : 'Selected'} ${color.name}`);
+        break;
+      }
+      case 'p':
+      case 'P':
+        onPin?.(safeColors[index]);
+        setAnnouncement(`Pinned ${safeColors[index].name}`);
+        break;
+      default:
+        return;
     }
+    e.preventDefault();
+  };
 
+  const cellProps = useMemo(() => ({
+    colors: safeColors,
+    rows,
+    columnCount,
+    columnWidth,
+    cellIdPrefix,
+    focusedIndex: activeIndex,
+    onCellFocus: setFocusedIndex,
+    focusPendingRef,
+    selectedName,
+    onSelect,
+    contrastBackground,
+    pairAnchor,
+    pairMinRatio,
+    simulation,
+    confusableNames,
+    onPin,
+    isPinned,
+    highlight,
+    diffByName,
+  }), [
+    safeColors,
+    rows,
+    columnCount,
+    columnWidth,
+    cellIdPrefix,
+    activeIndex,
+    selectedName,
+    onSelect,
+    contrastBackground,
+    pairAnchor,
+    pairMinRatio,
+    simulation,
+    confusableNames,
+    onPin,
+    isPinned,
+    highlight,
+    diffByName,
+  ]);
+
+  // Early return if colors is null, undefined, or not an array
+  if (!colors) {
     return (
-      <div style={style}>
-        <div className="grid-item-wrapper">
-          <ColorSwatch color={color} isLoading={false} />
-        </div>
+      <div className="empty-state">
+        <p>Loading colors...</p>
       </div>
     );
-  };
+  }
 
   // Show loading state
   if (isLoading && safeColors.length === 0) {
     return (
       <div className="loading-state">
+        <DiscoveryProgress progress={progress} />
         <div className="loading-grid">
           {Array.from({ length: 12 }).map((_, i) => (
             <ColorSwatch key={i} color={null} isLoading={true} />
@@ -119,7 +473,7 @@ function ColorGrid({ colors, isLoading = false }) {
   if (safeColors.length === 0 && !isLoading) {
     return (
       <div className="empty-state">
-        <p>Adjust the Saturation and Lightness values to see colors</p>
+        <p>{emptyMessage}</p>
       </div>
     );
   }
@@ -135,26 +489,24 @@ function ColorGrid({ colors, isLoading = false }) {
 
   return (
     <div className="color-grid-container">
-      {isLoading && (
-        <div className="loading-overlay">
-          <div className="loading-card">
-            <div className="loading-spinner"></div>
-            <div className="loading-text">Loading colors...</div>
-            <div className="loading-subtext">Discovering distinct hues</div>
-          </div>
-        </div>
-      )}
+      {isLoading && <DiscoveryProgress progress={progress} />}
       <Grid
-        cellComponent={Cell}
-        cellProps={{}}
+        gridRef={gridRef}
+        cellComponent={SwatchCell}
+        cellProps={cellProps}
+        aria-label={`${label}. Arrow keys move, Enter selects, P pins`}
+        onKeyDown={handleKeyDown}
         columnCount={columnCount}
         columnWidth={columnWidth}
         defaultHeight={dimensions.height}
-        rowCount={isLoading ? stableRowCount : rowCount}
-        rowHeight={rowHeight}
+        rowCount={isLoading ? Math.max(stableRowCount, rowCount) : rowCount}
+        rowHeight={getRowHeight}
         defaultWidth={dimensions.width}
         className="color-grid"
       />
+      <div className="visually-hidden" aria-live="polite" aria-atomic="true">
+        {announcement}
+      </div>
     </div>
   );
 }
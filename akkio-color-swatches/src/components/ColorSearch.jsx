@@ -0,0 +1,143 @@
+/**
+ * ColorSearch Component
+ *
+ * Reverse lookup box: a hex, rgb() or hsl() value jumps straight to its
+ * HSL location; anything else is fuzzy-matched against known names: the
+ * cache, the name atlas and the colors currently on screen (`shownColors`).
+ * Picking a result calls `onSearch` with the `{ hue, saturation, lightness }`
+ * to show, plus `name` for name matches.
+ */
+
+import { useState, useMemo } from 'react';
+import { getAtlasColors, getCachedColors } from '../services/colorApi';
+import { parseColorQuery, searchColorNames } from '../services/colorSearch';
+import { hslToRgb } from '../services/colorMath';
+import './ColorSearch.css';
+
+function ColorSearch({ near, shownColors = [], onSearch }) {
+  const [query, setQuery] = useState('');
+  const [storedColors, setStoredColors] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const results = useMemo(() => {
+    const parsed = parseColorQuery(query);
+    if (!parsed) return [];
+
+    if (parsed.type === 'hsl') {
+      const { hue, saturation, lightness } = parsed;
+      const rgb = hslToRgb(hue, saturation, lightness);
+      return [{
+        key: 'hsl',
+        label: `H ${hue}° · S ${saturation}% · L ${lightness}%`,
+        detail: 'Go to this color',
+        rgb,
+        target: { hue, saturation, lightness },
+      }];
+    }
+
+    const known = [...shownColors, ...storedColors];
+    return searchColorNames(known, parsed.text, { near }).map(({ name, color, count }) => ({
+      key: name,
+      label: name,
+      detail: `S ${color.saturation}% · L ${color.lightness}% · H ${color.hue}°` +
+        (count > 1 ? ` · ${count} samples` : ''),
+      rgb: color.rgb,
+      target: { name, hue: color.hue, saturation: color.saturation, lightness: color.lightness },
+    }));
+  }, [query, shownColors, storedColors, near]);
+
+  // The cache grows as the user explores; atlas and replay answers never
+  // reach it, so the atlas is read too and the grid on screen comes in as
+  // a prop
+  const refreshCache = async () => {
+    const [cached, atlas] = await Promise.all([getCachedColors(), getAtlasColors()]);
+    setStoredColors([...cached, ...atlas]);
+  };
+
+  const pick = (result) => {
+    if (!result) return;
+    onSearch(result.target);
+    setIsOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      setIsOpen(true);
+      if (results.length > 0) {
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setActiveIndex(index => (index + step + results.length) % results.length);
+      }
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      pick(results[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  const showResults = isOpen && query.trim() !== '';
+
+  return (
+    <div className="color-search">
+      <input
+        id="color-search"
+        type="search"
+        className="color-search-input"
+        placeholder="#1166FB, rgb(17, 102, 251) or a name"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setActiveIndex(0);
+          setIsOpen(true);
+        }}
+        onFocus={() => {
+          refreshCache();
+          setIsOpen(true);
+        }}
+        onBlur={() => setIsOpen(false)}
+        onKeyDown={handleKeyDown}
+        role="combobox"
+        aria-expanded={showResults}
+        aria-controls="color-search-results"
+        aria-activedescendant={showResults && results[activeIndex] ? `color-search-${activeIndex}` : undefined}
+        aria-autocomplete="list"
+      />
+
+      {showResults && (
+        <ul id="color-search-results" className="color-search-results" role="listbox">
+          {results.map((result, index) => (
+            <li
+              key={result.key}
+              id={`color-search-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={index === activeIndex ? 'active' : ''}
+              // Pick before the input's blur closes the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                pick(result);
+              }}
+              onMouseEnter={() => setActiveIndex(index)}
+            >
+              <span
+                className="color-search-chip"
+                style={{ backgroundColor: `rgb(${result.rgb.red}, ${result.rgb.green}, ${result.rgb.blue})` }}
+              />
+              <span className="color-search-label">{result.label}</span>
+              <span className="color-search-detail">{result.detail}</span>
+            </li>
+          ))}
+          {results.length === 0 && (
+            <li className="color-search-empty">
+              No known color matches. Explore more S/L values, or search by hex.
+            </li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ColorSearch;
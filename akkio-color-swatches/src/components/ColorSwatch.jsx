@@ -1,12 +1,145 @@
 /**
  * ColorSwatch Component
  *
- * Displays a single color swatch with its name and RGB values
+ * Displays a single color swatch with its name and RGB values. Swatches are
+ * selectable when given `onSelect`; pass `focusable={false}` when a parent
+ * (like the ColorGrid cell) handles focus and keys instead. Colors from a
+ * non-HSL slice (`color.slice`) label their band on the swept axis.
  */
 
+import { WHITE, BLACK, contrastRatio, gradeContrast, pickTextColor } from '../services/wcag';
+import { hexToRgb } from '../services/colorMath';
+import { simulateColorVision } from '../services/colorVision';
+import { formatSweepValue, sliceColorAt, sweepAxis } from '../services/colorModels';
 import './ColorSwatch.css';
 
-function ColorSwatch({ color, isLoading }) {
+const HUE_DOMAIN = { min: 0, max: 360 };
+
+/**
+ * Splits a region of the swept axis into strip segments (percent offsets),
+ * two when a hue region wraps past 360°
+ */
+function regionSegments({ hueStart, hueSpan }, { min, max }) {
+  const start = ((hueStart - min) / (max - min)) * 100;
+  const width = (hueSpan / (max - min)) * 100;
+  if (start + width <= 100) {
+    return [{ left: start, width }];
+  }
+  return [
+    { left: start, width: 100 - start },
+    { left: 0, width: start + width - 100 },
+  ];
+}
+
+/**
+ * Gradient stops along the swept axis: the hue wheel at the color's S/L,
+ * or the slice's own colors
+ */
+function sweepStops({ slice, saturation, lightness }) {
+  if (!slice) {
+    return [0, 60, 120, 180, 240, 300, 360].map(h => `hsl(${h}, ${saturation}%, ${lightness}%)`);
+  }
+  const { min, max } = sweepAxis(slice);
+  return [0, 1, 2, 3, 4, 5, 6].map(step => {
+    const { rgb } = sliceColorAt(slice, min + ((max - min) * step) / 6);
+    return `rgb(${rgb.red}, ${rgb.green}, ${rgb.blue})`;
+  });
+}
+
+/**
+ * A position on the swept axis with its unit
+ */
+function formatPosition(slice, value) {
+  return slice ? formatSweepValue(slice, value) : `${value}°`;
+}
+
+/**
+ * Thin strip along the swept axis (the hue wheel by default) highlighting
+ * the band(s) a name covers
+ */
+function HueStrip({ color }) {
+  const { slice, hueRegions } = color;
+  const domain = slice ? sweepAxis(slice) : HUE_DOMAIN;
+  const stops = sweepStops(color).join(', ');
+  const description = hueRegions
+    .map(region => `${formatPosition(slice, region.hueStart)}–${formatPosition(slice, region.hueEnd)} (${formatPosition(slice, region.hueSpan)})`)
+    .join(', ');
+
+  return (
+    <div className="hue-strip" title={`${slice ? sweepAxis(slice).label : 'Hue'} range: ${description}`}>
+      <div className="hue-strip-track" style={{ '--hue-gradient': `linear-gradient(to right, ${stops})` }}>
+        {hueRegions.flatMap(region => regionSegments(region, domain)).map((segment, i) => (
+          <span
+            key={i}
+            className="hue-strip-band"
+            style={{
+              left: `${segment.left}%`,
+              width: `${segment.width}%`,
+              // Stretch the gradient to the full track so the band shows its own hues
+              backgroundSize: `${10000 / segment.width}% 100%`,
+              backgroundPosition: segment.width < 100
+                ? `${(segment.left / (100 - segment.width)) * 100}% 0`
+                : '0 0',
+            }}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * WCAG contrast of the swatch as text on white, black and the chosen
+ * background. Each badge previews the swatch color on that background.
+ */
+function ContrastBadges({ rgb, background }) {
+  const backgrounds = [
+    { label: 'white', rgb: WHITE },
+    { label: 'black', rgb: BLACK },
+  ];
+  const custom = hexToRgb(background);
+  if (custom) {
+    backgrounds.push({ label: `background ${background}`, rgb: custom });
+  }
+
+  return (
+    <div className="contrast-badges">
+      {backgrounds.map(({ label, rgb: bg }) => {
+        const ratio = contrastRatio(rgb, bg);
+        const grade = gradeContrast(ratio);
+        return (
+          <span
+            key={label}
+            className={`contrast-badge grade-${grade.toLowerCase().replace(' ', '-')}`}
+            style={{
+              backgroundColor: `rgb(${bg.red}, ${bg.green}, ${bg.blue})`,
+              color: `rgb(${rgb.red}, ${rgb.green}, ${rgb.blue})`,
+            }}
+            title={`${ratio.toFixed(2)}:1 on ${label} — ${grade}`}
+          >
+            {ratio.toFixed(1)} {grade === 'AA Large' ? 'AA18' : grade}
+          </span>
+        );
+      })}
+    </div>
+  );
+}
+
+function ColorSwatch({
+  color,
+  isLoading,
+  isSelected = false,
+  onSelect,
+  background = null,
+  pairCheck = null,
+  simulation = 'none',
+  confusableWith = [],
+  isPinned = false,
+  onPin,
+  isHighlighted = false,
+  focusable = true,
+  diffStatus = null,
+}) {
   if (isLoading) {
     return (
       <div className="color-swatch loading">
@@ -23,33 +156,103 @@ function ColorSwatch({ color, isLoading }) {
     return null;
   }
 
-  const { rgb, name, hue, hex } = color;
+  const { rgb, name, hex, hueStart, hueEnd, hueSpan, slice } = color;
   const colorName = name || 'Unnamed';
+  // Bands are labeled on the swept axis: hue unless the slice says otherwise
+  const axisLabel = slice ? sweepAxis(slice).label : 'Hue';
+  const position = formatPosition(slice, slice ? color.position : color.hue);
+  const band = hueSpan
+    ? `${formatPosition(slice, hueStart)}–${formatPosition(slice, hueEnd)}`
+    : null;
+
+  // The preview shows the color as seen under the active simulation
+  const previewRgb = simulateColorVision(rgb, simulation);
+
+  // Black or white, whichever has the higher WCAG contrast
+  const textColor = pickTextColor(previewRgb);
+
+  const selectProps = onSelect
+    ? {
+        role: 'button',
+        tabIndex: 0,
+        'aria-pressed': isSelected,
+        onClick: () => onSelect(color),
+        onKeyDown: (e) => {
+          if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            onSelect(color);
+          }
+        },
+      }
+    : {};
 
-  // Calculate contrasting text color for better readability
-  const brightness = (rgb.red * 299 + rgb.green * 587 + rgb.blue * 114) / 1000;
-  const textColor = brightness > 128 ? '#000000' : '#ffffff';
+  // In pair-checker mode, swatches that can't pair with the anchor are dimmed
+  const pairClass = pairCheck ? (pairCheck.passes ? ' pair-pass' : ' pair-fail') : '';
+  // In comparison mode, names missing from the other slice stand out
+  const diffClass = diffStatus ? ` diff-${diffStatus}` : '';
 
   return (
-    <div className="color-swatch">
+    <div
+      className={`color-swatch${isSelected ? ' selected' : ''}${isHighlighted ? ' highlighted' : ''}${pairClass}${diffClass}`}
+      {...selectProps}
+    >
       <div
         className="color-preview"
         style={{
-          backgroundColor: `rgb(${rgb.red}, ${rgb.green}, ${rgb.blue})`,
+          backgroundColor: `rgb(${previewRgb.red}, ${previewRgb.green}, ${previewRgb.blue})`,
           color: textColor,
         }}
-        title={`Hue: ${hue}°`}
+        title={band
+          ? `${axisLabel}: ${position} (band ${band}, ${formatPosition(slice, hueSpan)})`
+          : `${axisLabel}: ${position}`}
       >
-        <span className="hue-label">{hue}°</span>
+        <span className="hue-label">{band ?? position}</span>
+        {pairCheck && (
+          <span className="pair-ratio" title={`${pairCheck.ratio.toFixed(2)}:1 with the selected color`}>
+            {pairCheck.ratio.toFixed(1)}:1
+          </span>
+        )}
+        {confusableWith.length > 0 && (
+          <span
+            className="cvd-warning"
+            title={`Hard to tell apart from ${confusableWith.join(' and ')} under this simulation`}
+          >
+            ≈ {confusableWith.join(', ')}
+          </span>
+        )}
+        {diffStatus && (
+          <span className="diff-chip">{diffStatus === 'unique' ? 'Only here' : 'In both'}</span>
+        )}
       </div>
       <div className="color-info">
-        <div className="color-name" title={colorName}>
-          {colorName}
+        <div className="color-name-row">
+          <div className="color-name" title={colorName}>
+            {colorName}
+          </div>
+          {onPin && (
+            <button
+              className={`pin-button${isPinned ? ' pinned' : ''}`}
+              onClick={(e) => {
+                e.stopPropagation(); // pinning shouldn't also select
+                onPin(color);
+              }}
+              onKeyDown={(e) => e.stopPropagation()}
+              aria-pressed={isPinned}
+              // Inside the keyboard grid, P pins the focused cell instead
+              tabIndex={focusable ? undefined : -1}
+              aria-label={isPinned ? `${colorName} is pinned` : `Pin ${colorName} to palette`}
+              title={isPinned ? 'Pinned to the active palette' : 'Pin to the active palette'}
+            >
+              📌
+            </button>
+          )}
         </div>
         <div className="color-rgb">
           RGB({rgb.red}, {rgb.green}, {rgb.blue})
         </div>
         <div className="color-hex">{hex}</div>
+        {color.hueRegions && <HueStrip color={color} />}
+        <ContrastBadges rgb={rgb} background={background} />
       </div>
     </div>
   );
@@ -0,0 +1,205 @@
+/**
+ * CompareView Component
+ *
+ * Two S/L slices side by side, each in its own ColorGrid, with every swatch
+ * marked as only in its slice or in both. Slices are discovered through the
+ * shared cache, so comparing against the grid's slice, or comparing again,
+ * costs few or no new API calls.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import ColorGrid from './ColorGrid';
+import { compareDistinctColors } from '../services/discoveryClient';
+import { sortColors } from '../services/colorSort';
+import './CompareView.css';
+
+/**
+ * Number inputs for one slice's saturation and lightness
+ */
+function SlicePicker({ label, slice, onChange }) {
+  const update = (key, raw) => {
+    const value = Math.min(100, Math.max(0, Math.round(Number(raw) || 0)));
+    onChange({ ...slice, [key]: value });
+  };
+
+  return (
+    <fieldset className="slice-picker">
+      <legend>{label}</legend>
+      <label>
+        <span>S</span>
+        <input
+          type="number"
+          min="0"
+          max="100"
+          value={slice.saturation}
+          onChange={e => update('saturation', e.target.value)}
+        />
+        <span>%</span>
+      </label>
+      <label>
+        <span>L</span>
+        <input
+          type="number"
+          min="0"
+          max="100"
+          value={slice.lightness}
+          onChange={e => update('lightness', e.target.value)}
+        />
+        <span>%</span>
+      </label>
+    </fieldset>
+  );
+}
+
+const EMPTY_SIDE = { colors: [], progress: null };
+
+function sameSlice(a, b) {
+  return a.saturation === b.saturation && a.lightness === b.lightness;
+}
+
+/**
+ * Name -> 'unique' or 'shared' for one side's colors
+ */
+function diffStatuses(colors, otherNames) {
+  return new Map(colors.map(color => [color.name, otherNames.has(color.name) ? 'shared' : 'unique']));
+}
+
+function CompareView({ saturation, lightness, sort }) {
+  // Start from the grid's slice against one 20% lighter (or darker near white)
+  const [left, setLeft] = useState({ saturation, lightness });
+  const [right, setRight] = useState({
+    saturation,
+    lightness: lightness <= 80 ? lightness + 20 : lightness - 20,
+  });
+  const [debounced, setDebounced] = useState({ left, right });
+  const [sides, setSides] = useState({ left: EMPTY_SIDE, right: EMPTY_SIDE });
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [differencesOnly, setDifferencesOnly] = useState(false);
+  const [selectedName, setSelectedName] = useState(null);
+
+  // Debounce the inputs like the S/L controls
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(current => (
+      sameSlice(current.left, left) && sameSlice(current.right, right) ? current : { left, right }
+    )), 500);
+    return () => clearTimeout(timer);
+  }, [left, right]);
+
+  // Discover both slices, streaming each into its column, cancelling any
+  // earlier comparison
+  useEffect(() => {
+    const abortController = new AbortController();
+    setResult(null);
+    setError(null);
+    setSides({ left: EMPTY_SIDE, right: EMPTY_SIDE });
+
+    compareDistinctColors(debounced.left, debounced.right, {
+      signal: abortController.signal,
+      onProgress: (side, { colors, completed, planned, distinctCount }) => {
+        if (abortController.signal.aborted) return;
+        setSides(current => ({ ...current, [side]: { colors, progress: { completed, planned, distinctCount } } }));
+      },
+    })
+      .then(comparison => {
+        if (abortController.signal.aborted) return;
+        setSides({
+          left: { colors: comparison.left.colors, progress: null },
+          right: { colors: comparison.right.colors, progress: null },
+        });
+        setResult(comparison);
+      })
+      .catch(err => {
+        if (err.name !== 'AbortError') setError(err.message || 'Failed to compare slices');
+      });
+
+    return () => abortController.abort();
+  }, [debounced]);
+
+  const isLoading = !result && !error;
+
+  // Diff marks only make sense once both slices are complete
+  const columns = useMemo(() => {
+    const leftNames = new Set(sides.left.colors.map(color => color.name));
+    const rightNames = new Set(sides.right.colors.map(color => color.name));
+    const column = (colors, otherNames) => {
+      const sorted = sortColors(colors, sort);
+      return {
+        colors: differencesOnly && result
+          ? sorted.filter(color => !otherNames.has(color.name))
+          : sorted,
+        diffByName: result ? diffStatuses(colors, otherNames) : null,
+      };
+    };
+    return { left: column(sides.left.colors, rightNames), right: column(sides.right.colors, leftNames) };
+  }, [sides, sort, differencesOnly, result]);
+
+  const handleSelect = color => {
+    setSelectedName(current => (current === color.name ? null : color.name));
+  };
+
+  const swap = () => {
+    setLeft(right);
+    setRight(left);
+  };
+
+  const sliceLabel = ({ saturation: s, lightness: l }) => `S ${s}% · L ${l}%`;
+
+  return (
+    <div className="compare-view">
+      <div className="compare-controls">
+        <SlicePicker label="Left slice" slice={left} onChange={setLeft} />
+        <button className="compare-swap" onClick={swap} aria-label="Swap slices" title="Swap slices">
+          ⇄
+        </button>
+        <SlicePicker label="Right slice" slice={right} onChange={setRight} />
+
+        <button
+          className={`compare-toggle${differencesOnly ? ' active' : ''}`}
+          onClick={() => setDifferencesOnly(only => !only)}
+          aria-pressed={differencesOnly}
+        >
+          Differences only
+        </button>
+      </div>
+
+      <div className="compare-summary" role="status">
+        {error && <span className="compare-error">{error}</span>}
+        {isLoading && 'Comparing slices…'}
+        {result && (
+          <>
+            <strong>{result.onlyLeft.length}</strong> only left ·{' '}
+            <strong>{result.onlyRight.length}</strong> only right ·{' '}
+            <strong>{result.shared.length}</strong> in both ·{' '}
+            {result.left.requests + result.right.requests} API calls
+            ({result.left.samples + result.right.samples - result.left.requests - result.right.requests} from cache)
+          </>
+        )}
+      </div>
+
+      <div className="compare-columns">
+        {[['left', debounced.left], ['right', debounced.right]].map(([side, slice]) => (
+          <section key={side} className="compare-column" aria-label={`${side === 'left' ? 'Left' : 'Right'} slice`}>
+            <h2 className="compare-column-title">
+              {sliceLabel(slice)}
+              {result && <span>{result[side].colors.length} names</span>}
+            </h2>
+            <ColorGrid
+              colors={columns[side].colors}
+              label={`Distinct colors at ${sliceLabel(slice)}`}
+              widthRatio={0.5}
+              emptyMessage={differencesOnly ? 'Every name here is in both slices' : undefined}
+              isLoading={isLoading}
+              progress={sides[side].progress}
+              selectedName={selectedName}
+              onSelect={handleSelect}
+              diffByName={columns[side].diffByName}
+            />
+          </section>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default CompareView;
@@ -0,0 +1,55 @@
+/**
+ * ContrastControls Component
+ *
+ * Toolbar controls for WCAG contrast: the custom background every swatch is
+ * graded against, and the pair checker, which dims swatches that can't be
+ * used with the selected swatch at the chosen level
+ */
+
+import { CONTRAST_LEVELS } from '../services/wcag';
+import './ContrastControls.css';
+
+function ContrastControls({
+  background,
+  onBackgroundChange,
+  pairMode,
+  onPairModeChange,
+  pairLevel,
+  onPairLevelChange,
+}) {
+  return (
+    <div className="contrast-controls">
+      <label className="contrast-background" title="Background the contrast badges are graded against">
+        <span>Background</span>
+        <input
+          type="color"
+          value={background}
+          onChange={e => onBackgroundChange(e.target.value.toUpperCase())}
+        />
+      </label>
+
+      <button
+        className={`pair-toggle${pairMode ? ' active' : ''}`}
+        onClick={() => onPairModeChange(!pairMode)}
+        aria-pressed={pairMode}
+      >
+        Pair checker
+      </button>
+
+      {pairMode && (
+        <select
+          className="pair-level"
+          value={pairLevel}
+          onChange={e => onPairLevelChange(e.target.value)}
+          aria-label="Required contrast level"
+        >
+          {Object.entries(CONTRAST_LEVELS).map(([level, ratio]) => (
+            <option key={level} value={level}>{level} ({ratio}:1)</option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+}
+
+export default ContrastControls;
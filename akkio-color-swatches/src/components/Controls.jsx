@@ -1,18 +1,43 @@
 /**
  * Controls Component
  *
- * Provides input controls for Saturation and Lightness with debouncing
- * to minimize API calls while maintaining responsive UI
+ * Picks the color model and the axis to sweep, with a slider for each of
+ * the two fixed axes (Saturation and Lightness for the classic HSL hue
+ * slice), debounced to minimize API calls while keeping the UI responsive.
+ * The inputs follow `slice` whenever the parent moves it (e.g. from the
+ * name map). Also holds the color-vision simulation picker, which needs no
+ * API calls, and the reverse-lookup search.
  */
 
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { CVD_MODES } from '../services/colorVision';
+import {
+  COLOR_MODELS,
+  fixedAxes,
+  getColorModel,
+  isHslHueSlice,
+  normalizeSlice,
+  sameSlice,
+} from '../services/colorModels';
+import ColorSearch from './ColorSearch';
 import './Controls.css';
 
 const DEBOUNCE_DELAY = 500; // ms
 
-function Controls({ onValuesChange, isLoading }) {
-  const [saturation, setSaturation] = useState(50);
-  const [lightness, setLightness] = useState(50);
+function Controls({ slice, onSliceChange, simulation = 'none', onSimulationChange, onSearch, shownColors }) {
+  const [draft, setDraft] = useState(slice);
+  const model = getColorModel(draft.model);
+
+  // Name matches closest to the current S/L rank first (HSL hue slices only)
+  const searchNear = useMemo(
+    () => (isHslHueSlice(draft) ? { saturation: draft.fixed.s, lightness: draft.fixed.l } : null),
+    [draft]
+  );
+
+  // Follow slices set from outside the controls
+  useEffect(() => {
+    setDraft(current => (sameSlice(current, slice) ? current : slice));
+  }, [slice]);
 
   // Debounce timer ref
   const debounceTimer = useRef(null);
@@ -26,7 +51,7 @@ function Controls({ onValuesChange, isLoading }) {
 
     // Set new timer
     debounceTimer.current = setTimeout(() => {
-      onValuesChange({ saturation, lightness });
+      onSliceChange(draft);
     }, DEBOUNCE_DELAY);
 
     // Cleanup
@@ -35,79 +60,121 @@ function Controls({ onValuesChange, isLoading }) {
         clearTimeout(debounceTimer.current);
       }
     };
-  }, [saturation, lightness, onValuesChange]);
+  }, [draft, onSliceChange]);
 
-  const handleSaturationChange = (e) => {
-    const value = parseInt(e.target.value, 10);
-    setSaturation(value);
+  // Switching model keeps the swept axis where the new model has it
+  const handleModelChange = (e) => {
+    setDraft(current => normalizeSlice({ model: e.target.value, sweep: current.sweep }));
+  };
+
+  // The axis that stops being swept starts from its default value
+  const handleSweepChange = (e) => {
+    setDraft(current => normalizeSlice({ ...current, sweep: e.target.value }));
   };
 
-  const handleLightnessChange = (e) => {
+  const handleAxisChange = (axis, e) => {
     const value = parseInt(e.target.value, 10);
-    setLightness(value);
+    setDraft(current => normalizeSlice({ ...current, fixed: { ...current.fixed, [axis.id]: value } }));
   };
 
   return (
     <div className="controls">
       <div className="controls-header">
         <h1>Color Swatches</h1>
-        <p className="subtitle">Explore the HSL color spectrum</p>
+        <p className="subtitle">Explore the {model.label} color spectrum</p>
       </div>
 
       <div className="controls-grid">
-        {/* Saturation Control */}
+        {/* Color model and swept axis */}
         <div className="control-group">
-          <label htmlFor="saturation">
-            <span className="label-text">Saturation</span>
-            <span className="label-value">{saturation}%</span>
+          <label htmlFor="color-model">
+            <span className="label-text">Model · sweep</span>
           </label>
           <div className="input-group">
-            <input
-              id="saturation"
-              type="range"
-              min="0"
-              max="100"
-              value={saturation}
-              onChange={handleSaturationChange}
-              className="slider"
-            />
-            <input
-              type="number"
-              min="0"
-              max="100"
-              value={saturation}
-              onChange={handleSaturationChange}
-              className="number-input"
-            />
+            <select
+              id="color-model"
+              value={draft.model}
+              onChange={handleModelChange}
+              className="model-select"
+            >
+              {COLOR_MODELS.map(option => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+            <select
+              value={draft.sweep}
+              onChange={handleSweepChange}
+              className="model-select"
+              aria-label="Axis to sweep"
+            >
+              {model.axes.map(axis => (
+                <option key={axis.id} value={axis.id}>Sweep {axis.label.toLowerCase()}</option>
+              ))}
+            </select>
           </div>
         </div>
 
-        {/* Lightness Control */}
+        {/* Fixed axes (Saturation and Lightness for HSL hue slices) */}
+        {fixedAxes(draft).map(axis => {
+          const id = `axis-${axis.id}`;
+          // A hue of 360° is 0° again
+          const max = axis.circular ? axis.max - 1 : axis.max;
+          return (
+            <div className="control-group" key={axis.id}>
+              <label htmlFor={id}>
+                <span className="label-text">{axis.label}</span>
+                <span className="label-value">{draft.fixed[axis.id]}{axis.unit}</span>
+              </label>
+              <div className="input-group">
+                <input
+                  id={id}
+                  type="range"
+                  min={axis.min}
+                  max={max}
+                  value={draft.fixed[axis.id]}
+                  onChange={(e) => handleAxisChange(axis, e)}
+                  className="slider"
+                />
+                <input
+                  type="number"
+                  min={axis.min}
+                  max={max}
+                  value={draft.fixed[axis.id]}
+                  onChange={(e) => handleAxisChange(axis, e)}
+                  className="number-input"
+                  aria-label={axis.label}
+                />
+              </div>
+            </div>
+          );
+        })}
+
+        {/* Color vision simulation */}
         <div className="control-group">
-          <label htmlFor="lightness">
-            <span className="label-text">Lightness</span>
-            <span className="label-value">{lightness}%</span>
+          <label htmlFor="simulation">
+            <span className="label-text">Vision</span>
           </label>
-          <div className="input-group">
-            <input
-              id="lightness"
-              type="range"
-              min="0"
-              max="100"
-              value={lightness}
-              onChange={handleLightnessChange}
-              className="slider"
-            />
-            <input
-              type="number"
-              min="0"
-              max="100"
-              value={lightness}
-              onChange={handleLightnessChange}
-              className="number-input"
-            />
-          </div>
+          <select
+            id="simulation"
+            value={simulation}
+            onChange={(e) => onSimulationChange?.(e.target.value)}
+            className="simulation-select"
+          >
+            {CVD_MODES.map(mode => (
+              <option key={mode.id} value={mode.id}>{mode.label}</option>
+            ))}
+          </select>
         </div>
+
+        {/* Reverse lookup */}
+        {onSearch && (
+          <div className="control-group">
+            <label htmlFor="color-search">
+              <span className="label-text">Find a color</span>
+            </label>
+            <ColorSearch near={searchNear} shownColors={shownColors} onSearch={onSearch} />
+          </div>
+        )}
       </div>
 
     </div>
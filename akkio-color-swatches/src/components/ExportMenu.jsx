@@ -0,0 +1,81 @@
+/**
+ * ExportMenu Component
+ *
+ * Downloads the current colors, just the selected swatch, or the active
+ * palette's pinned swatches (any number, from any slice) as CSS, SCSS,
+ * Tailwind, design tokens, GIMP or Adobe swatch files
+ */
+
+import { useMemo, useState } from 'react';
+import { EXPORT_FORMATS, exportPalette } from '../services/paletteExport';
+import { paletteColors } from '../services/paletteStore';
+import { downloadFile } from '../services/download';
+import './ExportMenu.css';
+
+function ExportMenu({ colors, selectedColors = [], palette = null, sliceLabel }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [scope, setScope] = useState('all');
+
+  const pinnedColors = useMemo(() => (palette ? paletteColors(palette) : []), [palette]);
+  const scopes = [
+    { id: 'all', label: 'All', colors },
+    { id: 'selected', label: 'Selected', colors: selectedColors },
+    { id: 'palette', label: palette?.name ?? 'Palette', colors: pinnedColors },
+  ];
+  // An empty scope falls back to the first one with colors
+  const active = scopes.find(option => option.id === scope && option.colors.length > 0) ??
+    scopes.find(option => option.colors.length > 0) ??
+    scopes[0];
+
+  const handleExport = (formatId) => {
+    downloadFile(exportPalette(active.colors, formatId, {
+      name: active.id === 'palette' ? palette.name : `Color Swatches ${sliceLabel}`,
+    }));
+  };
+
+  return (
+    <div className="export-menu">
+      <button
+        className="export-toggle"
+        onClick={() => setIsOpen(open => !open)}
+        aria-expanded={isOpen}
+        disabled={active.colors.length === 0}
+      >
+        Export
+      </button>
+
+      {isOpen && active.colors.length > 0 && (
+        <div className="export-popover" role="dialog" aria-label="Export palette">
+          <fieldset className="export-scope">
+            <legend>Colors</legend>
+            {scopes.map(option => (
+              <label key={option.id} className={option.colors.length > 0 ? '' : 'disabled'}>
+                <input
+                  type="radio"
+                  name="export-scope"
+                  checked={option.id === active.id}
+                  onChange={() => setScope(option.id)}
+                  disabled={option.colors.length === 0}
+                />
+                {option.label} ({option.colors.length})
+              </label>
+            ))}
+          </fieldset>
+
+          <ul className="export-formats">
+            {EXPORT_FORMATS.map(format => (
+              <li key={format.id}>
+                <button onClick={() => handleExport(format.id)}>
+                  <span>{format.label}</span>
+                  <span className="export-extension">.{format.extension}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ExportMenu;
@@ -0,0 +1,57 @@
+/**
+ * FixturePanel Component
+ *
+ * Toolbar indicator for record/replay sessions: while recording it counts
+ * the captured responses and downloads them as a fixture; while replaying
+ * it marks the session as served from a fixture. Renders nothing otherwise.
+ */
+
+import { useState, useEffect } from 'react';
+import { getColorProvider, getFixtureRecorder } from '../services/colorApi';
+import { serializeFixture } from '../services/fixtures';
+import { downloadFile } from '../services/download';
+import './FixturePanel.css';
+
+/**
+ * Saves the recording as a fixture file
+ */
+function downloadFixture(recorder) {
+  downloadFile({
+    content: serializeFixture(recorder.toFixture()),
+    filename: `fixture-${recorder.provider}.json`,
+    mimeType: 'application/json',
+  });
+}
+
+function FixturePanel() {
+  const recorder = getFixtureRecorder();
+  const [recorded, setRecorded] = useState(() => recorder?.size ?? 0);
+
+  useEffect(() => recorder?.subscribe(setRecorded), [recorder]);
+
+  if (recorder) {
+    return (
+      <button
+        className="fixture-record"
+        onClick={() => downloadFixture(recorder)}
+        disabled={recorded === 0}
+        title="Download the recorded responses as a replay fixture"
+      >
+        <span className="fixture-dot" aria-hidden="true" />
+        Recording ({recorded.toLocaleString()})
+      </button>
+    );
+  }
+
+  if (getColorProvider().id === 'replay') {
+    return (
+      <span className="fixture-replay" title="Every lookup is answered from a recorded fixture">
+        ▶ Replay
+      </span>
+    );
+  }
+
+  return null;
+}
+
+export default FixturePanel;
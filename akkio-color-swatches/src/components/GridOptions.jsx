@@ -0,0 +1,91 @@
+/**
+ * GridOptions Component
+ *
+ * Sort, group and filter controls for the swatch grid. They live in App
+ * state rather than being tied to a slice, so moving the sliders keeps the
+ * same arrangement and slices can be compared like for like.
+ */
+
+import { sortOptionsFor } from '../services/colorSort';
+import './GridOptions.css';
+
+const CONTRAST_FILTERS = [
+  { ratio: 0, label: 'Any contrast' },
+  { ratio: 3, label: '≥ 3:1' },
+  { ratio: 4.5, label: '≥ 4.5:1' },
+  { ratio: 7, label: '≥ 7:1' },
+];
+
+function GridOptions({
+  axisLabel = 'Hue',
+  sort,
+  onSortChange,
+  grouped,
+  onGroupedChange,
+  query,
+  onQueryChange,
+  minContrast,
+  onMinContrastChange,
+  shownCount,
+  totalCount,
+}) {
+  const isFiltered = query.trim() !== '' || minContrast > 0;
+
+  return (
+    <div className="grid-options">
+      <label className="grid-option">
+        <span>Sort</span>
+        <select value={sort} onChange={e => onSortChange(e.target.value)}>
+          {sortOptionsFor(axisLabel).map(option => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+
+      <button
+        className={`group-toggle${grouped ? ' active' : ''}`}
+        onClick={() => onGroupedChange(!grouped)}
+        aria-pressed={grouped}
+      >
+        Group by hue family
+      </button>
+
+      <label className="grid-option grid-filter">
+        <span>Filter</span>
+        <input
+          type="search"
+          value={query}
+          onChange={e => onQueryChange(e.target.value)}
+          placeholder="Name contains…"
+          aria-label="Filter by name"
+        />
+      </label>
+
+      <select
+        className="grid-option-select"
+        value={minContrast}
+        onChange={e => onMinContrastChange(Number(e.target.value))}
+        aria-label="Minimum contrast against the background"
+        title="Minimum contrast against the background"
+      >
+        {CONTRAST_FILTERS.map(({ ratio, label }) => (
+          <option key={ratio} value={ratio}>{label}</option>
+        ))}
+      </select>
+
+      {isFiltered && (
+        <span className="grid-options-count" role="status">
+          {shownCount} of {totalCount} colors
+          <button className="grid-options-clear" onClick={() => {
+            onQueryChange('');
+            onMinContrastChange(0);
+          }}>
+            Clear
+          </button>
+        </span>
+      )}
+    </div>
+  );
+}
+
+export default GridOptions;
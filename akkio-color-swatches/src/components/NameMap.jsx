@@ -0,0 +1,180 @@
+/**
+ * NameMap Component
+ *
+ * Saturation × Lightness map of color-name regions at one fixed hue.
+ * Each region is painted with its name's representative color and outlined
+ * where the name changes. Hovering shows the name; clicking a point jumps
+ * the main grid to that S/L. Points that couldn't be looked up are left as
+ * gaps and counted in the status line.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { MAP_SIZE } from '../services/nameRegionMap';
+import { fetchNameRegionMap } from '../services/discoveryClient';
+import './NameMap.css';
+
+const CELL_SIZE = 5; // px per S/L unit
+const CANVAS_SIZE = MAP_SIZE * CELL_SIZE;
+const GAP_COLOR = '#2a2a2e'; // Points whose lookup failed
+
+function NameMap({ saturation, lightness, onSelect }) {
+  const [hue, setHue] = useState(0);
+  const [debouncedHue, setDebouncedHue] = useState(0);
+  const [map, setMap] = useState(null);
+  const [samples, setSamples] = useState(0);
+  const [error, setError] = useState(null);
+  const [hovered, setHovered] = useState(null);
+  const canvasRef = useRef(null);
+
+  // Debounce the hue slider like the S/L controls
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedHue(hue), 500);
+    return () => clearTimeout(timer);
+  }, [hue]);
+
+  // Sample the map for the selected hue, cancelling any earlier run
+  useEffect(() => {
+    const abortController = new AbortController();
+    setMap(null);
+    setSamples(0);
+    setError(null);
+
+    fetchNameRegionMap(debouncedHue, {
+      signal: abortController.signal,
+      onProgress: progress => setSamples(progress.samples),
+    })
+      .then(result => {
+        if (!abortController.signal.aborted) setMap(result);
+      })
+      .catch(err => {
+        if (err.name !== 'AbortError') setError(err.message || 'Failed to map names');
+      });
+
+    return () => abortController.abort();
+  }, [debouncedHue]);
+
+  // Paint regions and borders; lightness runs bottom (0) to top (100)
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !map) return;
+    const ctx = canvas.getContext('2d');
+    const nameAt = (s, l) => map.names[s * MAP_SIZE + l];
+    const yOf = l => (MAP_SIZE - 1 - l) * CELL_SIZE;
+
+    for (let s = 0; s < MAP_SIZE; s++) {
+      for (let l = 0; l < MAP_SIZE; l++) {
+        const rgb = map.colorsByName.get(nameAt(s, l))?.rgb;
+        ctx.fillStyle = rgb ? `rgb(${rgb.red}, ${rgb.green}, ${rgb.blue})` : GAP_COLOR;
+        ctx.fillRect(s * CELL_SIZE, yOf(l), CELL_SIZE, CELL_SIZE);
+      }
+    }
+
+    ctx.strokeStyle = 'rgba(17, 17, 19, 0.85)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let s = 0; s < MAP_SIZE; s++) {
+      for (let l = 0; l < MAP_SIZE; l++) {
+        const x = s * CELL_SIZE;
+        const y = yOf(l);
+        if (s + 1 < MAP_SIZE && nameAt(s + 1, l) !== nameAt(s, l)) {
+          ctx.moveTo(x + CELL_SIZE + 0.5, y);
+          ctx.lineTo(x + CELL_SIZE + 0.5, y + CELL_SIZE);
+        }
+        if (l + 1 < MAP_SIZE && nameAt(s, l + 1) !== nameAt(s, l)) {
+          ctx.moveTo(x, y + 0.5);
+          ctx.lineTo(x + CELL_SIZE, y + 0.5);
+        }
+      }
+    }
+    ctx.stroke();
+  }, [map]);
+
+  const pointFromEvent = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    const scale = CANVAS_SIZE / rect.width;
+    const s = Math.floor(((event.clientX - rect.left) * scale) / CELL_SIZE);
+    const l = MAP_SIZE - 1 - Math.floor(((event.clientY - rect.top) * scale) / CELL_SIZE);
+    if (s < 0 || s >= MAP_SIZE || l < 0 || l >= MAP_SIZE) return null;
+    return { saturation: s, lightness: l };
+  };
+
+  const handleMouseMove = (event) => {
+    const point = pointFromEvent(event);
+    setHovered(point && map ? { ...point, name: map.names[point.saturation * MAP_SIZE + point.lightness] } : null);
+  };
+
+  const handleClick = (event) => {
+    const point = pointFromEvent(event);
+    if (point) onSelect(point);
+  };
+
+  return (
+    <div className="name-map">
+      <div className="name-map-controls">
+        <label htmlFor="map-hue">
+          <span className="label-text">Hue</span>
+          <span className="label-value">{hue}°</span>
+        </label>
+        <input
+          id="map-hue"
+          type="range"
+          min="0"
+          max="359"
+          value={hue}
+          onChange={e => setHue(parseInt(e.target.value, 10))}
+          className="slider name-map-hue"
+          style={{
+            background: `linear-gradient(to right, ${[0, 60, 120, 180, 240, 300, 360]
+              .map(h => `hsl(${h}, 100%, 50%)`).join(', ')})`,
+          }}
+        />
+      </div>
+
+      <div className="name-map-body">
+        <div className="name-map-axis name-map-axis-y">Lightness →</div>
+        <div className="name-map-frame">
+          <canvas
+            ref={canvasRef}
+            width={CANVAS_SIZE}
+            height={CANVAS_SIZE}
+            className="name-map-canvas"
+            onMouseMove={handleMouseMove}
+            onMouseLeave={() => setHovered(null)}
+            onClick={handleClick}
+          />
+          {map && (
+            <div
+              className="name-map-marker"
+              style={{
+                left: `${((saturation + 0.5) / MAP_SIZE) * 100}%`,
+                top: `${((MAP_SIZE - lightness - 0.5) / MAP_SIZE) * 100}%`,
+              }}
+              title={`Current grid: S=${saturation}%, L=${lightness}%`}
+            />
+          )}
+          {!map && !error && (
+            <div className="name-map-loading">
+              <div className="loading-spinner"></div>
+              <div>Mapping names… {samples} samples</div>
+            </div>
+          )}
+          {error && <div className="name-map-loading name-map-error">{error}</div>}
+        </div>
+        <div className="name-map-axis name-map-axis-x">Saturation →</div>
+      </div>
+
+      <div className="name-map-status" aria-live="polite">
+        {hovered
+          ? <><strong>{hovered.name ?? 'Not resolved'}</strong> · S={hovered.saturation}% L={hovered.lightness}% · click to open in the grid</>
+          : map
+            ? `${map.colorsByName.size} names at hue ${map.hue}° from ${map.samples} samples`
+              + (map.failedPoints.length > 0
+                ? ` · ${map.failedPoints.length} ${map.failedPoints.length === 1 ? 'point' : 'points'} could not be looked up`
+                : '')
+            : ' '}
+      </div>
+    </div>
+  );
+}
+
+export default NameMap;
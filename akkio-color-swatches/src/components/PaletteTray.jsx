@@ -0,0 +1,192 @@
+/**
+ * PaletteTray Component
+ *
+ * Named palettes of swatches pinned from the grid. Swatches can be renamed,
+ * reordered by drag or with Alt+Arrow keys, and clicked to jump back to the
+ * S/L/H (or color-model slice) they were found at. State lives in the parent and is saved by it.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import {
+  getActivePalette,
+  addPalette,
+  selectPalette,
+  renamePalette,
+  deletePalette,
+  unpinSwatch,
+  renameSwatch,
+  moveSwatch,
+} from '../services/paletteStore';
+import { formatSliceColor } from '../services/colorModels';
+import './PaletteTray.css';
+
+/**
+ * Where a swatch was found: its HSL, or the point in the slice it came from
+ */
+function describeOrigin(swatch) {
+  return swatch.slice
+    ? formatSliceColor(swatch.slice, swatch.position)
+    : `H ${swatch.hue}° S ${swatch.saturation}% L ${swatch.lightness}%`;
+}
+
+function PaletteTray({ state, onChange, onNavigate }) {
+  const [isCollapsed, setIsCollapsed] = useState(false);
+  const [dragId, setDragId] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+  const [focusId, setFocusId] = useState(null);
+  const itemRefs = useRef(new Map());
+
+  const palette = getActivePalette(state);
+
+  // Keep focus on a swatch moved with the keyboard
+  useEffect(() => {
+    if (focusId) {
+      itemRefs.current.get(focusId)?.focus();
+      setFocusId(null);
+    }
+  }, [focusId, state]);
+
+  const handleDelete = () => {
+    if (palette.swatches.length > 0 &&
+        !window.confirm(`Delete "${palette.name}" and its ${palette.swatches.length} swatches?`)) {
+      return;
+    }
+    onChange(deletePalette(state, palette.id));
+  };
+
+  const handleKeyDown = (e, swatch, index) => {
+    if (e.target !== e.currentTarget) return; // typing in the name field
+
+    if (e.altKey && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+      e.preventDefault();
+      onChange(moveSwatch(state, swatch.id, index + (e.key === 'ArrowLeft' ? -1 : 1)));
+      setFocusId(swatch.id);
+    } else if (e.key === 'Enter') {
+      onNavigate(swatch);
+    } else if (e.key === 'Delete' || e.key === 'Backspace') {
+      onChange(unpinSwatch(state, swatch.id));
+    }
+  };
+
+  const handleDrop = (e, index) => {
+    e.preventDefault();
+    if (dragId) {
+      onChange(moveSwatch(state, dragId, index));
+    }
+    setDragId(null);
+    setDropIndex(null);
+  };
+
+  return (
+    <section className={`palette-tray${isCollapsed ? ' collapsed' : ''}`} aria-label="Palettes">
+      <div className="palette-tray-header">
+        <button
+          className="palette-collapse"
+          onClick={() => setIsCollapsed(collapsed => !collapsed)}
+          aria-expanded={!isCollapsed}
+          aria-label={isCollapsed ? 'Show palette' : 'Hide palette'}
+        >
+          {isCollapsed ? '▸' : '▾'}
+        </button>
+
+        <select
+          className="palette-select"
+          value={palette.id}
+          onChange={e => onChange(selectPalette(state, e.target.value))}
+          aria-label="Palette"
+        >
+          {state.palettes.map(p => (
+            <option key={p.id} value={p.id}>
+              {p.name || 'Untitled'} ({p.swatches.length})
+            </option>
+          ))}
+        </select>
+
+        <input
+          className="palette-name"
+          value={palette.name}
+          onChange={e => onChange(renamePalette(state, palette.id, e.target.value))}
+          aria-label="Palette name"
+        />
+
+        <button className="palette-action" onClick={() => onChange(addPalette(state))}>
+          New
+        </button>
+        <button className="palette-action" onClick={handleDelete}>
+          Delete
+        </button>
+      </div>
+
+      {!isCollapsed && (
+        palette.swatches.length === 0 ? (
+          <p className="palette-empty">
+            Pin swatches from the grid with 📌 to collect them here, across any S/L.
+          </p>
+        ) : (
+          <ol className="palette-swatches" onDragLeave={() => setDropIndex(null)}>
+            {palette.swatches.map((swatch, index) => (
+              <li
+                key={swatch.id}
+                ref={node => {
+                  if (node) itemRefs.current.set(swatch.id, node);
+                  else itemRefs.current.delete(swatch.id);
+                }}
+                className={`palette-chip${dropIndex === index ? ' drop-target' : ''}${dragId === swatch.id ? ' dragging' : ''}`}
+                tabIndex={0}
+                draggable
+                aria-label={`${swatch.label}, ${swatch.slice
+                  ? formatSliceColor(swatch.slice, swatch.position)
+                  : `hue ${swatch.hue}, saturation ${swatch.saturation}%, lightness ${swatch.lightness}%`}. Enter to open, Alt+Arrow keys to move, Delete to remove`}
+                onDragStart={e => {
+                  e.dataTransfer.effectAllowed = 'move';
+                  e.dataTransfer.setData('text/plain', swatch.hex);
+                  setDragId(swatch.id);
+                }}
+                onDragOver={e => {
+                  e.preventDefault();
+                  setDropIndex(index);
+                }}
+                onDrop={e => handleDrop(e, index)}
+                onDragEnd={() => {
+                  setDragId(null);
+                  setDropIndex(null);
+                }}
+                onKeyDown={e => handleKeyDown(e, swatch, index)}
+              >
+                <button
+                  className="palette-chip-color"
+                  style={{ backgroundColor: swatch.hex }}
+                  onClick={() => onNavigate(swatch)}
+                  title={`${swatch.name} · ${describeOrigin(swatch)}`}
+                  aria-label={`Go to ${swatch.name}`}
+                  tabIndex={-1}
+                />
+                <div className="palette-chip-info">
+                  <input
+                    className="palette-chip-label"
+                    value={swatch.label}
+                    onChange={e => onChange(renameSwatch(state, swatch.id, e.target.value))}
+                    aria-label={`Name for ${swatch.name}`}
+                  />
+                  <span className="palette-chip-meta">
+                    {swatch.hex} · {swatch.slice ? describeOrigin(swatch) : `S${swatch.saturation} L${swatch.lightness}`}
+                  </span>
+                </div>
+                <button
+                  className="palette-chip-remove"
+                  onClick={() => onChange(unpinSwatch(state, swatch.id))}
+                  aria-label={`Unpin ${swatch.label}`}
+                  tabIndex={-1}
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ol>
+        )
+      )}
+    </section>
+  );
+}
+
+export default PaletteTray;
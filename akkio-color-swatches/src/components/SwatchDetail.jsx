@@ -0,0 +1,155 @@
+/**
+ * SwatchDetail Component
+ *
+ * Side panel for the selected swatch: the color in every common color space,
+ * each value copyable, and the HSL that was queried next to the HSL the
+ * provider echoed back so rounding differences are visible. Colors from an
+ * HSV, OKLCH or CIELCh slice also show the point explored in that model,
+ * which was converted to the HSL query.
+ */
+
+import { useState, useEffect } from 'react';
+import { rgbToHsv, rgbToCmyk, rgbToLab, rgbToOklch } from '../services/colorMath';
+import './SwatchDetail.css';
+
+const COPIED_RESET_DELAY = 1500; // ms
+
+const round = (value, digits = 0) => Number(value.toFixed(digits));
+
+/**
+ * Reads the numbers out of an echoed "hsl(h, s%, l%)" string
+ */
+function parseHsl(hsl) {
+  const match = /hsl\(\s*([\d.]+)\s*,\s*([\d.]+)%?\s*,\s*([\d.]+)%?\s*\)/i.exec(hsl || '');
+  return match ? match.slice(1).map(Number) : null;
+}
+
+/**
+ * Every representation shown in the panel, as label/value rows
+ */
+function describeColor(color) {
+  const { rgb, hex } = color;
+  const hsv = rgbToHsv(rgb);
+  const cmyk = rgbToCmyk(rgb);
+  const lab = rgbToLab(rgb);
+  const oklch = rgbToOklch(rgb);
+
+  return [
+    { label: 'Hex', value: hex },
+    { label: 'RGB', value: `rgb(${rgb.red}, ${rgb.green}, ${rgb.blue})` },
+    { label: 'HSV', value: `${round(hsv.hue)}°, ${round(hsv.saturation, 1)}%, ${round(hsv.value, 1)}%` },
+    {
+      label: 'CMYK',
+      value: [cmyk.cyan, cmyk.magenta, cmyk.yellow, cmyk.key].map(v => `${round(v, 1)}%`).join(', '),
+    },
+    { label: 'CIELAB', value: `${round(lab.L, 2)}, ${round(lab.a, 2)}, ${round(lab.b, 2)}` },
+    { label: 'OKLCH', value: `${round(oklch.L, 4)}, ${round(oklch.C, 4)}, ${round(oklch.h, 2)}°` },
+    { label: 'CSS hsl()', value: `hsl(${color.hue} ${color.saturation}% ${color.lightness}%)` },
+    {
+      label: 'CSS oklch()',
+      value: `oklch(${round(oklch.L * 100, 2)}% ${round(oklch.C, 4)} ${round(oklch.h, 2)})`,
+    },
+  ];
+}
+
+function CopyButton({ text }) {
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!copied) return undefined;
+    const timer = setTimeout(() => setCopied(false), COPIED_RESET_DELAY);
+    return () => clearTimeout(timer);
+  }, [copied]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+    } catch (error) {
+      console.error('Copy to clipboard failed:', error);
+    }
+  };
+
+  return (
+    <button className="detail-copy" onClick={handleCopy} aria-label={`Copy ${text}`}>
+      {copied ? 'Copied' : 'Copy'}
+    </button>
+  );
+}
+
+function SwatchDetail({ color, onClose }) {
+  // Escape closes the panel
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  if (!color) return null;
+
+  const queried = `hsl(${color.hue}, ${color.saturation}%, ${color.lightness}%)`;
+  const echoed = parseHsl(color.hsl);
+  const matches = echoed !== null &&
+    echoed[0] === color.hue && echoed[1] === color.saturation && echoed[2] === color.lightness;
+
+  return (
+    <aside className="swatch-detail" aria-label={`${color.name} details`}>
+      <div className="detail-header">
+        <div
+          className="detail-preview"
+          style={{ backgroundColor: `rgb(${color.rgb.red}, ${color.rgb.green}, ${color.rgb.blue})` }}
+        />
+        <h2 className="detail-name">{color.name || 'Unnamed'}</h2>
+        <button className="detail-close" onClick={onClose} aria-label="Close details">
+          ×
+        </button>
+      </div>
+
+      <dl className="detail-rows">
+        {describeColor(color).map(({ label, value }) => (
+          <div className="detail-row" key={label}>
+            <dt>{label}</dt>
+            <dd>{value}</dd>
+            <CopyButton text={value} />
+          </div>
+        ))}
+      </dl>
+
+      <div className="detail-hsl">
+        <dl className="detail-rows">
+          {color.modelColor && (
+            <div className="detail-row">
+              <dt>Explored</dt>
+              <dd>{color.modelColor}</dd>
+              <CopyButton text={color.modelColor} />
+            </div>
+          )}
+          <div className="detail-row">
+            <dt>Queried</dt>
+            <dd>{queried}</dd>
+            <CopyButton text={queried} />
+          </div>
+          <div className="detail-row">
+            <dt>API echoed</dt>
+            <dd>{color.hsl || '—'}</dd>
+            {color.hsl && <CopyButton text={color.hsl} />}
+          </div>
+        </dl>
+        <p className={`detail-hsl-note${matches ? '' : ' differs'}`}>
+          {matches
+            ? 'The provider echoed the queried HSL exactly.'
+            : 'The echoed HSL differs from the query, usually from rounding through 8-bit RGB.'}
+        </p>
+        {color.clipped && (
+          <p className="detail-hsl-note differs">
+            The explored point is outside sRGB, so its chroma was reduced to the nearest displayable color.
+          </p>
+        )}
+      </div>
+    </aside>
+  );
+}
+
+export default SwatchDetail;
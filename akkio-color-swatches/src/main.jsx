@@ -2,6 +2,14 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { configureColorServices, loadColorServiceData } from './services/colorServices'
+import { shareColorServiceData } from './services/discoveryClient'
+
+// Discovery runs in a worker that sets itself up the same way, using the
+// atlas and fixture loaded here
+const serviceData = loadColorServiceData(import.meta.env)
+configureColorServices(import.meta.env, { data: serviceData })
+shareColorServiceData(serviceData)
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
@@ -1,212 +1,977 @@
 /**
  * Color API Service
  *
- * Handles fetching color data from The Color API (thecolorapi.com) with caching
- * to minimize API calls and improve performance.
+ * Handles fetching color data through the configured color provider (The
+ * Color API by default, see colorProviders.js) with caching to minimize API
+ * calls and improve performance.
  */
 
-// The Color API - handles CORS properly, no proxy needed
-const API_BASE = 'https://www.thecolorapi.com';
-const cache = new Map();
+import { createTheColorApiProvider } from './colorProviders.js';
+import { createPersistentCache } from './persistentCache.js';
+import { createRequestScheduler, wait } from './requestScheduler.js';
+import { atlasKey } from './nameAtlas.js';
+import { hslToRgb, rgbToHex } from './colorMath.js';
+import {
+  formatSliceColor,
+  isHslHueSlice,
+  sliceColorAt,
+  sliceQuery,
+  sweepAxis,
+} from './colorModels.js';
+
+// Persisted across sessions, one namespace per provider id
+const cache = createPersistentCache();
+
+// Every provider lookup goes through this one queue. Each thread that loads
+// this module has its own, so page code looks colors up through
+// discoveryClient.js: the worker's queue is then the only one sending.
+const scheduler = createRequestScheduler();
+
+let provider = createTheColorApiProvider();
+let fallbackProvider = null;
+
+// Captures every fetchColorData result while recording (see fixtures.js)
+let recorder = null;
+
+// Where run summaries and warnings go (see configureLogger)
+let logger = console;
+
+// The axis discovery sweeps unless a color-model slice says otherwise
+const HUE_SWEEP = { min: 0, max: 360, circular: true };
 
 /**
- * Fetches color data for a given HSL value
- * @param {number} hue - Hue value (0-360)
- * @param {number} saturation - Saturation percentage (0-100)
- * @param {number} lightness - Lightness percentage (0-100)
- * @param {AbortSignal} signal - Optional abort signal for cancellation
- * @returns {Promise<Object>} Color data including RGB values and color name
+ * Whether lookups for the active provider go through the cache. Providers
+ * such as replay opt out so every lookup reaches them.
  */
-export async function fetchColorData(hue, saturation, lightness, signal = null) {
-  const cacheKey = `${hue},${saturation},${lightness}`;
+function usesCache() {
+  return provider.cacheable !== false;
+}
 
-  // Return cached result if available
-  if (cache.has(cacheKey)) {
-    return cache.get(cacheKey);
+/**
+ * Selects the provider that names colors. Call once at app start, before the
+ * first lookup. Each provider gets its own cache namespace, so names from
+ * different providers are never mixed.
+ * @param {Object} nextProvider - Color provider (see colorProviders.js)
+ * @param {Object} [options]
+ * @param {Object|null} [options.fallback] - Provider used when the primary one
+ *   can't be reached over the network
+ */
+export function configureColorProvider(nextProvider, { fallback = null } = {}) {
+  if (!nextProvider || typeof nextProvider.lookup !== 'function') {
+    throw new Error('Color provider must implement lookup()');
   }
+  provider = nextProvider;
+  fallbackProvider = fallback;
+}
 
-  try {
-    // The Color API format: /id?hsl=h,s,l
-    const url = `${API_BASE}/id?hsl=${hue},${saturation},${lightness}`;
+// Precomputed name regions, consulted before the provider (see nameAtlas.js)
+let atlasPromise = Promise.resolve(null);
 
-    const response = await fetch(url, { signal });
+/**
+ * Sets the name atlas that discovery answers from first. Takes the atlas or
+ * a promise of it, so lookups can start while the file loads; a load that
+ * fails leaves every S/L on the provider. Pass null to stop using an atlas.
+ * @param {Object|Promise<Object>|null} atlas - Atlas (see nameAtlas.js)
+ */
+export function configureNameAtlas(atlas) {
+  atlasPromise = Promise.resolve(atlas).catch(error => {
+    logger.warn('⚠️ Name atlas unavailable, using the provider for every S/L:', error.message);
+    return null;
+  });
+}
 
-    if (!response.ok) {
-      throw new Error(`API error: ${response.status}`);
-    }
+/**
+ * Starts (or, with null, stops) recording fetchColorData results
+ * @param {Object|null} nextRecorder - Recorder from createFixtureRecorder
+ */
+export function configureFixtureRecorder(nextRecorder) {
+  recorder = nextRecorder;
+}
 
-    const data = await response.json();
+/**
+ * @returns {Object|null} The active fixture recorder
+ */
+export function getFixtureRecorder() {
+  return recorder;
+}
 
-    // Validate data structure (The Color API structure)
-    if (!data || !data.rgb || !data.name) {
-      throw new Error('Invalid API response structure');
-    }
+/**
+ * Sets where the services log run summaries and warnings, e.g. so a CLI can
+ * keep stdout for its results. Errors still go to the console.
+ * @param {{log: Function, warn: Function}|null} nextLogger - Console-like
+ *   logger, or null for the console
+ */
+export function configureLogger(nextLogger) {
+  logger = nextLogger ?? console;
+}
+
+/**
+ * @returns {{log: Function, warn: Function}} The active logger
+ */
+export function getLogger() {
+  return logger;
+}
+
+/**
+ * @returns {Object} The active color provider
+ */
+export function getColorProvider() {
+  return provider;
+}
+
+/**
+ * Changes the global request caps shared by every lookup
+ * @param {Object} limits
+ * @param {number} [limits.concurrency] - Max requests running at once
+ * @param {number} [limits.requestsPerSecond] - Max requests started per second
+ */
+export function configureRequestLimits(limits) {
+  scheduler.setLimits(limits);
+}
+
+/**
+ * Claims a request priority higher than every earlier claim. A consumer
+ * passes it with all of its lookups so they overtake older consumers' ones.
+ * @returns {number} Priority for fetchColorData
+ */
+export function nextRequestPriority() {
+  return scheduler.nextPriority();
+}
+
+/**
+ * Looks a color up through the provider, falling back when the network
+ * fails, and caches the result
+ */
+async function lookupColor(hue, saturation, lightness, cacheKey, signal) {
+  try {
+    const result = await provider.lookup(hue, saturation, lightness, signal);
 
-    // Extract relevant data
     const colorData = {
       hue,
       saturation,
       lightness,
-      name: data.name.value || 'Unnamed',
-      rgb: {
-        red: data.rgb.r,
-        green: data.rgb.g,
-        blue: data.rgb.b,
-      },
-      hex: data.hex.value,
-      hsl: data.hsl.value,
+      ...result,
     };
 
     // Cache the result
-    cache.set(cacheKey, colorData);
+    if (usesCache()) {
+      cache.set(provider.id, cacheKey, colorData);
+    }
 
     return colorData;
   } catch (error) {
-    // Don't log abort errors - they're expected
-    if (error.name === 'AbortError') {
-      throw error;
+    // Network failure with a fallback configured: use it, but don't cache so
+    // the primary provider's name is picked up once it's reachable again.
+    // Its names may come from another name set, so they're marked.
+    if (fallbackProvider && error instanceof TypeError) {
+      const result = await fallbackProvider.lookup(hue, saturation, lightness, signal);
+      return { hue, saturation, lightness, ...result, namedBy: fallbackProvider.id };
     }
-    console.error('Error fetching color data:', error);
     throw error;
   }
 }
 
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 500; // ms, doubled on every attempt
+const MAX_RETRY_DELAY = 30000; // ms
+
 /**
- * Optimized adaptive fetching strategy that minimizes API calls
- * Strategy:
- * 1. Start with coarse sampling (every 10 degrees)
- * 2. Track distinct color names found
- * 3. Fill in gaps between colors with different names
- * 4. Stop early if no new names found for a while
+ * Network failures, rate limiting and server errors are worth retrying;
+ * other HTTP errors and malformed responses are not
+ */
+function isRetryable(error) {
+  return error instanceof TypeError || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Classifies a lookup failure for user-facing messages. Works on errors
+ * that crossed from the discovery worker too, which keep `name` and
+ * `status` but not their class.
+ * @param {Error} error - Error from fetchColorData or discovery
+ * @returns {'network'|'rate-limit'|'server'|'http'|'fixture'|'other'}
+ */
+export function lookupErrorKind(error) {
+  if (error.fixtureMiss) return 'fixture';
+  if (error.status === 429) return 'rate-limit';
+  if (error.status >= 500) return 'server';
+  if (error.status) return 'http';
+  // fetch rejects with a TypeError when there is no response (offline, CORS)
+  if (error instanceof TypeError || error.name === 'TypeError') return 'network';
+  return 'other';
+}
+
+/**
+ * Waits before the next attempt: the server's Retry-After when it sent
+ * one, otherwise exponential backoff with jitter
+ */
+function retryDelay(error, attempt) {
+  const delay = error.retryAfter ?? RETRY_BASE_DELAY * 2 ** attempt + Math.random() * 250;
+  return Math.min(delay, MAX_RETRY_DELAY);
+}
+
+/**
+ * Fetches color data for a given HSL value
+ * @param {number} hue - Hue value (0-360)
+ * @param {number} saturation - Saturation percentage (0-100)
+ * @param {number} lightness - Lightness percentage (0-100)
+ * @param {AbortSignal} signal - Optional abort signal for cancellation. Only
+ *   this caller is cancelled; a request shared with other callers keeps going
+ * @param {Object} [options]
+ * @param {number} [options.priority] - Scheduling priority (see nextRequestPriority)
+ * @param {number} [options.retries] - Retries for network, 429 and 5xx failures,
+ *   with exponential backoff (default 3). A 429 pauses every request for the
+ *   server's Retry-After.
+ * @returns {Promise<Object>} Color data including RGB values and color name
+ */
+export async function fetchColorData(hue, saturation, lightness, signal = null, {
+  priority = 0,
+  retries = MAX_RETRIES,
+} = {}) {
+  const cacheKey = `${hue},${saturation},${lightness}`;
+
+  // Return cached result if available
+  if (usesCache()) {
+    await cache.ready();
+    const cached = cache.get(provider.id, cacheKey);
+    if (cached) {
+      recorder?.record(hue, saturation, lightness, cached);
+      return cached;
+    }
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      // Identical lookups from any consumer share one request
+      const colorData = await scheduler.schedule(
+        `${provider.id}|${cacheKey}`,
+        requestSignal => lookupColor(hue, saturation, lightness, cacheKey, requestSignal),
+        { signal, priority }
+      );
+      recorder?.record(hue, saturation, lightness, colorData);
+      return colorData;
+    } catch (error) {
+      // Don't log abort errors - they're expected
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+
+      if (attempt >= retries || !isRetryable(error)) {
+        console.error('Error fetching color data:', error);
+        throw error;
+      }
+
+      const delay = retryDelay(error, attempt);
+      if (error.status === 429) {
+        // The server is throttling everyone, not just this request
+        scheduler.pauseFor(delay);
+      }
+      await wait(delay, signal);
+    }
+  }
+}
+
+/**
+ * Whether a hue falls inside a region, including regions that wrap past 360°
+ * @param {number} hue - Hue value (0-360)
+ * @param {{hueStart: number, hueEnd: number}} region - Hue region
+ * @returns {boolean}
+ */
+export function isHueInRegion(hue, { hueStart, hueEnd }) {
+  return hueStart <= hueEnd
+    ? hue >= hueStart && hue <= hueEnd
+    : hue >= hueStart || hue <= hueEnd;
+}
+
+/**
+ * Splits the sampled hue circle into contiguous runs sharing one name
  *
- * @param {number} saturation - Saturation percentage
- * @param {number} lightness - Lightness percentage
- * @param {AbortSignal} signal - Optional abort signal for cancellation
- * @returns {Promise<Object[]>} Array of color data objects with distinct names
+ * A region runs from its first sampled hue (`hueStart`) to its last
+ * (`hueEnd`, inclusive); `hueSpan` is the distance from `hueStart` to the
+ * next region's start, i.e. the degrees the name covers at the sampled
+ * resolution. The run crossing 0° is merged into one region whose
+ * `hueStart` is greater than its `hueEnd`.
+ *
+ * Other sweeps (see colorModels.js) are split the same way, in the swept
+ * axis' units. A sweep that isn't circular has no wrapping run, and its
+ * last region spans to the end of the axis.
+ *
+ * @param {number[]} sortedHues - Sampled hues in ascending order
+ * @param {Map<number, Object>} colorsByHue - Color data by hue
+ * @param {Object} [sweep] - `{ min, max, circular }` of the swept axis
+ * @returns {{name: string, hueStart: number, hueEnd: number, hueSpan: number}[]}
  */
-export async function fetchDistinctColors(saturation, lightness, signal = null) {
-  const BATCH_SIZE = 20; // Increased for faster parallel processing
-  const distinctColors = [];
-  const seenNames = new Set();
+function findHueRegions(sortedHues, colorsByHue, sweep = HUE_SWEEP) {
+  const runs = [];
+
+  for (const hue of sortedHues) {
+    const name = colorsByHue.get(hue).name || 'Unnamed';
+    const lastRun = runs[runs.length - 1];
+    if (lastRun && lastRun.name === name) {
+      lastRun.hueEnd = hue;
+    } else {
+      runs.push({ name, hueStart: hue, hueEnd: hue });
+    }
+  }
+
+  if (runs.length === 0) {
+    return runs;
+  }
+
+  if (!sweep.circular) {
+    runs.forEach((run, i) => {
+      const nextStart = i + 1 < runs.length ? runs[i + 1].hueStart : sweep.max;
+      run.hueSpan = Number((nextStart - run.hueStart).toFixed(6));
+    });
+    return runs;
+  }
+
+  // The whole circle is one name
+  if (runs.length === 1) {
+    runs[0].hueSpan = 360;
+    return runs;
+  }
+
+  // Join the last run onto the first when the name continues past 360°
+  const firstRun = runs[0];
+  const lastRun = runs[runs.length - 1];
+  if (firstRun.name === lastRun.name) {
+    firstRun.hueStart = lastRun.hueStart;
+    runs.pop();
+  }
+
+  runs.forEach((run, i) => {
+    const nextStart = runs[(i + 1) % runs.length].hueStart;
+    const span = ((nextStart - run.hueStart) % 360 + 360) % 360 || 360;
+    run.hueSpan = Number(span.toFixed(6));
+  });
+
+  return runs;
+}
+
+/**
+ * Wraps a hue into 0-360, trimming floating-point noise from fractional steps
+ */
+function normalizeHue(hue) {
+  return Number((hue % 360).toFixed(6));
+}
+
+/**
+ * The classic sweep: every hue at one HSL saturation and lightness. A sweep
+ * says which axis range is sampled, the provider query for each position,
+ * and how the looked-up color is labelled (`decorate`).
+ */
+function hueSweep(saturation, lightness) {
+  return {
+    ...HUE_SWEEP,
+    query: hue => ({ hue, saturation, lightness }),
+    decorate: (hue, color) => color,
+  };
+}
+
+/**
+ * A sweep along any model slice (see colorModels.js). Colors also carry
+ * the `slice`, their `position` on the swept axis, `modelColor` (the point
+ * in the slice's model) and whether it was `clipped` into the sRGB gamut.
+ */
+function sliceSweep(slice) {
+  const { min, max, circular = false } = sweepAxis(slice);
+  return {
+    min,
+    max,
+    circular,
+    query: position => sliceQuery(slice, position),
+    decorate: (position, color) => ({
+      ...color,
+      slice,
+      position,
+      modelColor: formatSliceColor(slice, position),
+      clipped: sliceColorAt(slice, position).clipped,
+    }),
+  };
+}
+
+/**
+ * Creates a batched, cache-aware hue fetcher for one sweep (see hueSweep)
+ *
+ * `fetchBatch(hues)` fills `colorsByHue`, skipping hues already sampled and
+ * answering from the cache where possible; `stats` counts the `samples`
+ * looked up and the `requests` that actually went to the provider. Hues
+ * that still fail after retries are recorded in `failedHues` (hue -> error)
+ * instead of failing the batch; only an abort or a replay fixture miss
+ * rejects it.
+ * `onUpdate` is called whenever new colors land in `colorsByHue`. All
+ * lookups share `priority`; the request scheduler bounds their concurrency.
+ * Callers must await `cache.ready()` first.
+ */
+function createHueSampler(sweep, signal, { onUpdate = null, priority = 0 } = {}) {
   const colorsByHue = new Map(); // Track all fetched colors by hue
+  const failedHues = new Map();
+  const stats = { requests: 0, samples: 0 };
 
   // Helper to fetch and process a batch
   async function fetchBatch(hues) {
     const batch = [];
     for (const hue of hues) {
-      const cacheKey = `${hue},${saturation},${lightness}`;
-      if (!cache.has(cacheKey)) {
+      if (colorsByHue.has(hue) || failedHues.has(hue)) continue;
+      stats.samples++;
+
+      const query = sweep.query(hue);
+      const cacheKey = `${query.hue},${query.saturation},${query.lightness}`;
+      if (!usesCache() || !cache.has(provider.id, cacheKey)) {
         batch.push(hue);
       } else {
         // Already cached, process immediately
-        const cached = cache.get(cacheKey);
-        colorsByHue.set(hue, cached);
+        const cached = cache.get(provider.id, cacheKey);
+        recorder?.record(query.hue, query.saturation, query.lightness, cached);
+        colorsByHue.set(hue, sweep.decorate(hue, cached));
       }
     }
 
+    if (batch.length < hues.length) onUpdate?.();
     if (batch.length === 0) return;
+    stats.requests += batch.length;
 
-    // Fetch uncached colors in parallel with abort support
-    const results = [];
-    for (let i = 0; i < batch.length; i += BATCH_SIZE) {
-      const chunk = batch.slice(i, i + BATCH_SIZE);
-      const chunkResults = await Promise.all(
-        chunk.map(hue => fetchColorData(hue, saturation, lightness, signal))
-      );
-      results.push(...chunkResults);
+    // Queue every uncached color at once; the scheduler paces them. Each
+    // is stored as it arrives so progress can be reported along the way.
+    await Promise.all(batch.map(async hue => {
+      try {
+        const query = sweep.query(hue);
+        const color = await fetchColorData(query.hue, query.saturation, query.lightness, signal, { priority });
+        colorsByHue.set(hue, sweep.decorate(hue, color));
+      } catch (error) {
+        // A replay gap means the fixture doesn't cover this run: fail it
+        // rather than show bands bent around the missing samples
+        if (error.name === 'AbortError' || error.fixtureMiss) throw error;
+        failedHues.set(hue, error);
+      }
+      onUpdate?.();
+    }));
+  }
+
+  return { fetchBatch, colorsByHue, failedHues, stats };
+}
+
+/**
+ * Picks one color per distinct name from the sampled hues, each with the hue
+ * band(s) its name covers
+ * @param {Map<number, Object>} colorsByHue - Sampled colors by hue
+ * @param {Object} [sweep] - `{ min, max, circular }` of the swept axis
+ * @returns {Object[]} Distinct colors in hue order
+ */
+function collectDistinctColors(colorsByHue, sweep = HUE_SWEEP) {
+  const distinctColors = [];
+  const seenNames = new Set();
+  const sortedHues = Array.from(colorsByHue.keys()).sort((a, b) => a - b);
+  const regionsByName = new Map();
+
+  for (const region of findHueRegions(sortedHues, colorsByHue, sweep)) {
+    if (!regionsByName.has(region.name)) {
+      regionsByName.set(region.name, []);
+    }
+    regionsByName.get(region.name).push({
+      hueStart: region.hueStart,
+      hueEnd: region.hueEnd,
+      hueSpan: region.hueSpan,
+    });
+  }
+
+  for (const hue of sortedHues) {
+    const color = colorsByHue.get(hue);
+
+    // Skip unnamed colors
+    if (!color.name || color.name === 'Unnamed') {
+      continue;
+    }
+
+    // Only add if we haven't seen this name before
+    if (!seenNames.has(color.name)) {
+      seenNames.add(color.name);
+
+      const hueRegions = regionsByName.get(color.name);
+      const primaryRegion = hueRegions.find(region => isHueInRegion(hue, region));
+
+      distinctColors.push({
+        ...color,
+        ...primaryRegion,
+        hueRegions,
+      });
+    }
+  }
+
+  return distinctColors;
+}
+
+/**
+ * The atlas regions for an S/L, when the atlas comes from the active
+ * provider and was built at this resolution or finer. Not while recording
+ * a fixture, which needs the lookups themselves.
+ */
+async function findAtlasRegions(saturation, lightness, resolution) {
+  const atlas = await atlasPromise;
+  if (!atlas || recorder || atlas.provider !== provider.id || atlas.resolution > resolution) {
+    return null;
+  }
+  return atlas.slices[atlasKey(saturation, lightness)] ?? null;
+}
+
+/**
+ * Rebuilds distinct colors from atlas regions. Sampling each region's first
+ * and last hue (and 0° for the region crossing it) gives the same runs a
+ * live discovery sampled, so regions and representative hues match it.
+ * RGB and hex are converted from the HSL rather than stored.
+ */
+function colorsFromAtlas(regions, saturation, lightness) {
+  const colorsByHue = new Map();
+  const addSample = (hue, name) => {
+    const rgb = hslToRgb(hue, saturation, lightness);
+    colorsByHue.set(hue, {
+      hue,
+      saturation,
+      lightness,
+      name,
+      rgb,
+      hex: rgbToHex(rgb),
+      hsl: `hsl(${hue}, ${saturation}%, ${lightness}%)`,
+    });
+  };
+
+  for (const [hueStart, hueEnd, name] of regions) {
+    addSample(hueStart, name);
+    addSample(hueEnd, name);
+    if (hueStart > hueEnd) addSample(0, name);
+  }
+
+  return collectDistinctColors(colorsByHue);
+}
+
+/**
+ * Optimized adaptive discovery of the distinct names at one S/L
+ * Strategy:
+ * 1. Start with coarse sampling (every 10 degrees)
+ * 2. Find neighbouring samples whose names differ
+ * 3. Bisect each of those windows down to `resolution` degrees, so every
+ *    transition costs about log2(10 / resolution) requests
+ * 4. Collect one swatch per distinct name
+ *
+ * @param {number} saturation - Saturation percentage
+ * @param {number} lightness - Lightness percentage
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+ * @param {number} [options.resolution] - Boundary precision in degrees (default 1,
+ *   may be fractional, e.g. 0.25)
+ * @param {Function} [options.onProgress] - Called as samples arrive with
+ *   `{ phase, colors, completed, planned, distinctCount }`: the distinct colors
+ *   found so far, lookups completed, and the current estimate of lookups
+ *   needed ('coarse', then 'boundaries' once the estimate is known, then 'done'),
+ *   plus `failedCount`, the hues that could not be resolved so far
+ * @param {boolean} [options.useAtlas] - Answer from the name atlas where it
+ *   covers the S/L (default true); false always runs the adaptive sampler
+ * @returns {Promise<{colors: Object[], stats: Object}>} Distinct colors (see
+ *   fetchDistinctColors) and run stats: `requests` sent to the provider,
+ *   `samples` looked up including cache hits, `boundaries` found and
+ *   `failedHues` that still failed after retries. Hues that fail are skipped
+ *   and the result is partial; the run only rejects if no hue resolved.
+ *   `source` is 'atlas' when a configured name atlas covered the S/L (no
+ *   lookups at all), otherwise 'provider'. Provider runs also return
+ *   `sampled`, the `[hue, color]` samples behind the colors, which
+ *   retrySliceColors needs to fill in the failed hues.
+ */
+export async function discoverDistinctColors(saturation, lightness, {
+  signal = null,
+  resolution = 1,
+  onProgress = null,
+  useAtlas = true,
+} = {}) {
+  if (!(resolution > 0) || resolution > 10) {
+    throw new Error(`Invalid boundary resolution: ${resolution}`);
+  }
+
+  // Points the atlas covers need no lookups at all
+  const atlasRegions = useAtlas ? await findAtlasRegions(saturation, lightness, resolution) : null;
+  if (signal?.aborted) {
+    throw new DOMException('The request was aborted', 'AbortError');
+  }
+  if (atlasRegions) {
+    const colors = colorsFromAtlas(atlasRegions, saturation, lightness);
+    onProgress?.({
+      phase: 'done',
+      colors,
+      completed: 0,
+      planned: 0,
+      distinctCount: colors.length,
+      failedCount: 0,
+    });
+    logger.log(`🗺️ Found ${colors.length} distinct colors in the name atlas (0 API requests)`);
+    return {
+      colors,
+      stats: { requests: 0, samples: 0, boundaries: atlasRegions.length, failedHues: [], source: 'atlas' },
+    };
+  }
+
+  return discoverAlongSweep(hueSweep(saturation, lightness), { signal, resolution, onProgress });
+}
+
+/**
+ * Distinct-color discovery for a color-model slice (see colorModels.js):
+ * two axes of HSL, HSV, OKLCH or CIELCh fixed and the third swept. HSL hue
+ * slices are plain discoverDistinctColors runs, name atlas included. Other
+ * slices look up each point's nearest HSL value, so they share the cache.
+ *
+ * Colors are as from discoverDistinctColors, with `hueStart`, `hueEnd`,
+ * `hueSpan` and `hueRegions` measured along the swept axis, plus `slice`,
+ * `position`, `modelColor` and `clipped` (see sliceSweep).
+ *
+ * @param {Object} slice - `{ model, sweep, fixed }`
+ * @param {Object} [options] - As for discoverDistinctColors; `resolution`
+ *   is in the swept axis' units
+ * @returns {Promise<{colors: Object[], stats: Object}>}
+ */
+export async function discoverSliceColors(slice, { signal = null, resolution = 1, onProgress = null } = {}) {
+  if (isHslHueSlice(slice)) {
+    return discoverDistinctColors(slice.fixed.s, slice.fixed.l, { signal, resolution, onProgress });
+  }
+  if (!(resolution > 0) || resolution > 10) {
+    throw new Error(`Invalid boundary resolution: ${resolution}`);
+  }
+  return discoverAlongSweep(sliceSweep(slice), { signal, resolution, onProgress });
+}
+
+/**
+ * The adaptive search behind discoverDistinctColors, along any sweep
+ */
+async function discoverAlongSweep(sweep, { signal, resolution, onProgress }) {
+  const COARSE_STEP = 10;
+  let phase = 'coarse';
+  let planned = Math.ceil((sweep.max - sweep.min) / COARSE_STEP) + (sweep.circular ? 0 : 1);
+
+  function emitProgress(nextPhase = phase) {
+    phase = nextPhase;
+    if (phase === 'done') planned = colorsByHue.size;
+    if (!onProgress || signal?.aborted) return;
+
+    const colors = collectDistinctColors(colorsByHue, sweep);
+    onProgress({
+      phase,
+      colors,
+      completed: colorsByHue.size,
+      planned: Math.max(planned, colorsByHue.size),
+      distinctCount: colors.length,
+      failedCount: failedHues.size,
+    });
+  }
+
+  // Cache checks below are synchronous, so wait for persisted entries first
+  await cache.ready();
+
+  // Newer runs outrank older ones, so a fresh S/L isn't stuck behind a stale one
+  const { fetchBatch, colorsByHue, failedHues, stats } = createHueSampler(sweep, signal, {
+    onUpdate: () => emitProgress(),
+    priority: nextRequestPriority(),
+  });
+  stats.boundaries = 0;
+  stats.source = 'provider';
+
+  // Only hue wraps; other axes just lose floating-point noise
+  const normalize = hue => (sweep.circular ? normalizeHue(hue) : Number(hue.toFixed(6)));
+  const nameAt = hue => colorsByHue.get(normalize(hue))?.name;
+
+  // Bisects [start, end] (end may exceed 360 when the window wraps) until
+  // every name change is pinned between samples `resolution` apart. Both
+  // halves are searched when the midpoint matches neither end, so several
+  // transitions inside one window are all found.
+  async function bisect(start, end) {
+    const steps = Math.round((end - start) / resolution);
+    if (steps <= 1) {
+      stats.boundaries++;
+      return;
     }
 
-    // Store in map
-    results.forEach(color => colorsByHue.set(color.hue, color));
+    const mid = Number((start + Math.floor(steps / 2) * resolution).toFixed(6));
+    await fetchBatch([normalize(mid)]);
+    // A hue that failed leaves this boundary unresolved; keep what we have
+    if (failedHues.has(normalize(mid))) return;
+
+    const searches = [];
+    if (nameAt(mid) !== nameAt(start)) searches.push(bisect(start, mid));
+    if (nameAt(mid) !== nameAt(end)) searches.push(bisect(mid, end));
+    await Promise.all(searches);
   }
 
-  // Phase 1: Coarse sampling (every 10 degrees = 36 API calls max)
+  // Phase 1: Coarse sampling (every 10 degrees = 36 API calls max). A
+  // sweep that doesn't wrap also samples its far end.
   const coarseHues = [];
-  for (let h = 0; h < 360; h += 10) {
+  for (let h = sweep.min; h < sweep.max; h += COARSE_STEP) {
     coarseHues.push(h);
   }
+  if (!sweep.circular) coarseHues.push(sweep.max);
   await fetchBatch(coarseHues);
 
-  // Phase 2: Find boundaries where color names change
+  // Phase 2: Find boundaries where color names change. Failed coarse hues
+  // are skipped, so their neighbours form one wider window instead.
+  const resolvedHues = coarseHues.filter(hue => colorsByHue.has(hue));
   const boundaryRanges = [];
-  for (let i = 0; i < coarseHues.length; i++) {
-    const currentHue = coarseHues[i];
-    const nextHue = coarseHues[(i + 1) % coarseHues.length];
+  const windowCount = sweep.circular ? resolvedHues.length : resolvedHues.length - 1;
+  for (let i = 0; i < windowCount; i++) {
+    const currentHue = resolvedHues[i];
+    const nextHue = resolvedHues[(i + 1) % resolvedHues.length];
 
     const currentColor = colorsByHue.get(currentHue);
     const nextColor = colorsByHue.get(nextHue);
 
-    if (currentColor && nextColor &&
-        currentColor.name !== 'Unnamed' &&
-        currentColor.name !== nextColor.name) {
-      // Names differ - there's a boundary in this range
-      boundaryRanges.push({ start: currentHue, end: nextHue });
+    if (currentColor && nextColor && currentColor.name !== nextColor.name) {
+      // Names differ - there's a boundary in this range. Wrapping windows
+      // end past 360 so the search can treat hues as a straight line.
+      boundaryRanges.push({ start: currentHue, end: nextHue < currentHue ? nextHue + 360 : nextHue });
     }
   }
 
-  // Phase 3: Binary search within boundary ranges to find exact transition points
-  for (const range of boundaryRanges) {
-    const fillHues = [];
-    let start = range.start;
-    let end = range.end;
+  // Each transition should take about log2(steps) bisection probes
+  planned += boundaryRanges.reduce(
+    (total, range) => total + Math.ceil(Math.log2(Math.round((range.end - range.start) / resolution))),
+    0
+  );
+  emitProgress('boundaries');
 
-    // Handle wrapping at 360
-    if (end < start) end += 360;
+  // Phase 3: Bisect every boundary range in parallel, one level at a time
+  await Promise.all(boundaryRanges.map(range => bisect(range.start, range.end)));
 
-    // Sample every degree in boundary ranges (max ~10 calls per range)
-    for (let h = start + 1; h < end; h++) {
-      fillHues.push(h % 360);
-    }
-
-    if (fillHues.length > 0) {
-      await fetchBatch(fillHues);
-    }
+  // Nothing resolved at all: report the failure rather than an empty grid
+  if (colorsByHue.size === 0 && failedHues.size > 0) {
+    throw failedHues.values().next().value;
   }
 
   // Phase 4: Collect all distinct colors
-  const sortedHues = Array.from(colorsByHue.keys()).sort((a, b) => a - b);
+  const distinctColors = collectDistinctColors(colorsByHue, sweep);
+  stats.failedHues = Array.from(failedHues.keys()).sort((a, b) => a - b);
+  emitProgress('done');
 
-  for (const hue of sortedHues) {
-    const color = colorsByHue.get(hue);
+  logger.log(`✅ Found ${distinctColors.length} distinct colors with ${stats.requests} API requests (${stats.samples} samples, ${stats.boundaries} boundaries)`);
+  if (failedHues.size > 0) {
+    logger.warn(`⚠️ ${failedHues.size} hues could not be resolved: ${stats.failedHues.join(', ')}`);
+  }
 
-    // Skip unnamed colors
-    if (!color.name || color.name === 'Unnamed') {
-      continue;
-    }
+  return { colors: distinctColors, stats, sampled: Array.from(colorsByHue) };
+}
 
-    // Only add if we haven't seen this name before
-    if (!seenNames.has(color.name)) {
-      seenNames.add(color.name);
-      distinctColors.push(color);
-    }
+/**
+ * Looks up only the hues a discoverSliceColors run could not resolve and
+ * merges them into its samples. No new boundaries are searched, so the
+ * retry sends at most `stats.failedHues.length` requests; a name that lives
+ * only near a failed hue is found, though its band edges are only as
+ * precise as the neighbouring samples.
+ *
+ * @param {Object} slice - The slice `previous` was discovered for
+ * @param {Object} previous - `{ colors, stats, sampled }` from discoverSliceColors
+ *   (or an earlier retry)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+ * @param {Function} [options.onProgress] - As for discoverDistinctColors, in
+ *   phase 'retry' and then 'done'
+ * @returns {Promise<{colors: Object[], stats: Object, sampled: Array}>} The
+ *   merged result; `stats` adds the retry's requests and samples and lists
+ *   the hues that still failed
+ */
+export async function retrySliceColors(slice, previous, { signal = null, onProgress = null } = {}) {
+  if (previous.stats.failedHues.length === 0) return previous;
+
+  const sweep = isHslHueSlice(slice) ? hueSweep(slice.fixed.s, slice.fixed.l) : sliceSweep(slice);
+  const retryHues = previous.stats.failedHues;
+
+  await cache.ready();
+
+  const emitProgress = phase => {
+    if (!onProgress || signal?.aborted) return;
+    const colors = collectDistinctColors(colorsByHue, sweep);
+    onProgress({
+      phase,
+      colors,
+      completed: stats.samples,
+      planned: retryHues.length,
+      distinctCount: colors.length,
+      failedCount: failedHues.size,
+    });
+  };
+
+  const { fetchBatch, colorsByHue, failedHues, stats } = createHueSampler(sweep, signal, {
+    onUpdate: () => emitProgress('retry'),
+    priority: nextRequestPriority(),
+  });
+  for (const [hue, color] of previous.sampled ?? []) {
+    colorsByHue.set(hue, color);
   }
+  await fetchBatch(retryHues);
 
-  console.log(`✅ Fetched ${distinctColors.length} distinct colors with ~${boundaryRanges.length * 10 + 36} API calls (instead of 360)`);
+  const colors = collectDistinctColors(colorsByHue, sweep);
+  const mergedStats = {
+    ...previous.stats,
+    requests: previous.stats.requests + stats.requests,
+    samples: previous.stats.samples + stats.samples,
+    failedHues: Array.from(failedHues.keys()).sort((a, b) => a - b),
+  };
+  emitProgress('done');
 
-  return distinctColors;
+  logger.log(`🔁 Retried ${retryHues.length} hues with ${stats.requests} API requests: ${retryHues.length - failedHues.size} resolved, ${colors.length} distinct colors`);
+
+  return { colors, stats: mergedStats, sampled: Array.from(colorsByHue) };
 }
 
 /**
- * Batch fetches color data for multiple hues with a single S/L value
- * Uses parallel requests but with controlled concurrency to avoid overwhelming the API
- * @param {number[]} hues - Array of hue values
+ * Fetches one swatch per distinct color name at the given S/L using the
+ * adaptive strategy in discoverDistinctColors. S/L points covered by the
+ * configured name atlas are answered from it without any lookups.
+ *
  * @param {number} saturation - Saturation percentage
  * @param {number} lightness - Lightness percentage
- * @returns {Promise<Object[]>} Array of color data objects
+ * @param {AbortSignal} signal - Optional abort signal for cancellation
+ * @param {Object} [options] - Extra discoverDistinctColors options (e.g. resolution)
+ * @returns {Promise<Object[]>} Array of color data objects with distinct names.
+ *   Each also carries `hueStart`, `hueEnd` and `hueSpan` for the hue band it
+ *   was found in, plus `hueRegions` listing every band the name covers
  */
-export async function fetchMultipleColors(hues, saturation, lightness) {
-  const BATCH_SIZE = 20; // Increased from 10 for faster processing
-  const results = [];
+export async function fetchDistinctColors(saturation, lightness, signal = null, options = {}) {
+  const { colors } = await discoverDistinctColors(saturation, lightness, { ...options, signal });
+  return colors;
+}
+
+/**
+ * Completeness audit: runs the adaptive strategy and an exhaustive 0-359°
+ * scan at the same S/L and reports the names the adaptive pass missed
+ *
+ * The adaptive pass can miss a name that only appears inside a 10° window
+ * whose two ends share a name (an A→B→A pattern). The adaptive pass runs
+ * first, so the scan's `requests` only count hues it had to fetch on top;
+ * `samples` is the call count each pass needs from a cold cache.
+ *
+ * Hues either pass could not resolve after retries are reported in its
+ * `failedHues`. A name seen only at those hues can show up in `missed` or
+ * `extra` without the sampler being at fault, or hide a real miss, so the
+ * comparison is only conclusive when both lists are empty.
+ *
+ * @param {number} saturation - Saturation percentage
+ * @param {number} lightness - Lightness percentage
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+ * @param {number} [options.resolution] - Adaptive boundary resolution
+ * @returns {Promise<Object>} `{ adaptive, exhaustive, missed, extra }`: both
+ *   passes' `{ names, requests, samples, failedHues }`, names only the scan found (with
+ *   the hues they appear at), and names only the adaptive pass found
+ */
+export async function auditDistinctColors(saturation, lightness, { signal = null, resolution = 1 } = {}) {
+  // The audit measures the sampler, so the atlas must not answer for it
+  const adaptiveRun = await discoverDistinctColors(saturation, lightness, { signal, resolution, useAtlas: false });
+
+  const { fetchBatch, colorsByHue, failedHues, stats } = createHueSampler(hueSweep(saturation, lightness), signal, {
+    priority: nextRequestPriority(),
+  });
+  await fetchBatch(generateHues(360));
+  if (colorsByHue.size === 0 && failedHues.size > 0) {
+    throw failedHues.values().next().value;
+  }
+  const scanFailedHues = Array.from(failedHues.keys()).sort((a, b) => a - b);
+
+  const huesByName = new Map();
+  for (const [hue, color] of colorsByHue) {
+    if (!color.name || color.name === 'Unnamed') continue;
+    if (!huesByName.has(color.name)) huesByName.set(color.name, []);
+    huesByName.get(color.name).push(hue);
+  }
 
-  for (let i = 0; i < hues.length; i += BATCH_SIZE) {
-    const batch = hues.slice(i, i + BATCH_SIZE);
-    const batchResults = await Promise.all(
-      batch.map(hue => fetchColorData(hue, saturation, lightness))
-    );
-    results.push(...batchResults);
+  const adaptiveNames = adaptiveRun.colors.map(color => color.name);
+  const exhaustiveNames = Array.from(huesByName.keys());
+  const adaptiveSet = new Set(adaptiveNames);
+
+  const missed = exhaustiveNames
+    .filter(name => !adaptiveSet.has(name))
+    .map(name => ({ name, hues: huesByName.get(name).sort((a, b) => a - b) }));
+  const extra = adaptiveNames.filter(name => !huesByName.has(name));
+
+  logger.log(`🔎 Audit S=${saturation} L=${lightness}: adaptive found ${adaptiveNames.length} names in ${adaptiveRun.stats.samples} samples, full scan found ${exhaustiveNames.length} in ${colorsByHue.size}; missed ${missed.length}`);
+  if (scanFailedHues.length > 0 || adaptiveRun.stats.failedHues.length > 0) {
+    logger.warn(`⚠️ Audit incomplete: ${adaptiveRun.stats.failedHues.length} adaptive and ${scanFailedHues.length} scan hues could not be resolved`);
   }
 
-  return results;
+  return {
+    saturation,
+    lightness,
+    adaptive: {
+      names: adaptiveNames,
+      requests: adaptiveRun.stats.requests,
+      samples: adaptiveRun.stats.samples,
+      failedHues: adaptiveRun.stats.failedHues,
+    },
+    exhaustive: {
+      names: exhaustiveNames,
+      requests: stats.requests,
+      samples: stats.samples,
+      failedHues: scanFailedHues,
+    },
+    missed,
+    extra,
+  };
+}
+
+/**
+ * Slice comparison: discovers the distinct colors at two S/L pairs and
+ * splits their names into those only on the left, only on the right, and
+ * on both. Both slices go through the shared cache and scheduler, so
+ * comparing again (or against the slice the grid shows) is mostly hits.
+ *
+ * @param {{saturation: number, lightness: number}} left - First slice
+ * @param {{saturation: number, lightness: number}} right - Second slice
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+ * @param {Function} [options.onProgress] - Called with `(side, progress)`,
+ *   `side` being 'left' or 'right' and `progress` as in discoverDistinctColors
+ * @returns {Promise<Object>} `{ left, right, onlyLeft, onlyRight, shared }`:
+ *   each slice's `{ saturation, lightness, colors, requests, samples }` and
+ *   the three name lists, each in the order the names appear by hue
+ */
+export async function compareDistinctColors(left, right, { signal = null, onProgress = null } = {}) {
+  const progressFor = side => (onProgress ? progress => onProgress(side, progress) : null);
+  const [leftRun, rightRun] = await Promise.all([
+    discoverDistinctColors(left.saturation, left.lightness, { signal, onProgress: progressFor('left') }),
+    discoverDistinctColors(right.saturation, right.lightness, { signal, onProgress: progressFor('right') }),
+  ]);
+
+  const leftNames = new Set(leftRun.colors.map(color => color.name));
+  const rightNames = new Set(rightRun.colors.map(color => color.name));
+
+  const slice = ({ saturation, lightness }, { colors, stats }) => ({
+    saturation,
+    lightness,
+    colors,
+    requests: stats.requests,
+    samples: stats.samples,
+  });
+
+  const result = {
+    left: slice(left, leftRun),
+    right: slice(right, rightRun),
+    onlyLeft: [...leftNames].filter(name => !rightNames.has(name)),
+    onlyRight: [...rightNames].filter(name => !leftNames.has(name)),
+    shared: [...leftNames].filter(name => rightNames.has(name)),
+  };
+
+  logger.log(`↔️ Compared S=${left.saturation} L=${left.lightness} with S=${right.saturation} L=${right.lightness}: ${result.onlyLeft.length} only left, ${result.onlyRight.length} only right, ${result.shared.length} shared (${result.left.requests + result.right.requests} API requests)`);
+
+  return result;
+}
+
+/**
+ * Batch fetches color data for multiple hues with a single S/L value
+ * Requests are queued together; the shared request scheduler controls
+ * concurrency so the API isn't overwhelmed
+ * @param {number[]} hues - Array of hue values
+ * @param {number} saturation - Saturation percentage
+ * @param {number} lightness - Lightness percentage
+ * @param {AbortSignal} signal - Optional abort signal for cancellation
+ * @returns {Promise<Object[]>} Array of color data objects
+ */
+export async function fetchMultipleColors(hues, saturation, lightness, signal = null) {
+  const priority = nextRequestPriority();
+  return Promise.all(
+    hues.map(hue => fetchColorData(hue, saturation, lightness, signal, { priority }))
+  );
 }
 
 /**
@@ -226,22 +991,67 @@ export function generateHues(count = 360) {
 }
 
 /**
- * Checks if all colors for given hues are already cached
+ * Checks if all colors for given hues are already cached for the active provider
  * @param {number[]} hues - Array of hue values
  * @param {number} saturation - Saturation percentage
  * @param {number} lightness - Lightness percentage
- * @returns {boolean} True if all colors are cached
+ * @returns {Promise<boolean>} True if all colors are cached
  */
-export function areAllColorsCached(hues, saturation, lightness) {
+export async function areAllColorsCached(hues, saturation, lightness) {
+  await cache.ready();
   return hues.every(hue => {
     const cacheKey = `${hue},${saturation},${lightness}`;
-    return cache.has(cacheKey);
+    return cache.has(provider.id, cacheKey);
   });
 }
 
 /**
- * Clears the color data cache
+ * Clears the color data cache, in memory and in persistent storage
+ * @param {Object} [options]
+ * @param {boolean} [options.activeProviderOnly] - Only clear the active provider's entries
+ * @returns {Promise<void>} Resolves once storage is cleared
+ */
+export async function clearCache({ activeProviderOnly = false } = {}) {
+  await cache.ready();
+  await cache.clear(activeProviderOnly ? provider.id : undefined);
+}
+
+/**
+ * Lists every cached color looked up with the active provider, at any S/L
+ * @returns {Promise<Object[]>} Color data objects as returned by fetchColorData
+ */
+export async function getCachedColors() {
+  await cache.ready();
+  return cache.values(provider.id);
+}
+
+// Atlas -> its colors, built on first use
+const atlasColors = new WeakMap();
+
+/**
+ * Lists one color per name at every S/L the name atlas covers, when the
+ * atlas comes from the active provider. Atlas answers never reach the
+ * cache, so name search reads them from here.
+ * @returns {Promise<Object[]>} Colors as from discoverDistinctColors
+ */
+export async function getAtlasColors() {
+  const atlas = await atlasPromise;
+  if (!atlas || atlas.provider !== provider.id) return [];
+
+  if (!atlasColors.has(atlas)) {
+    atlasColors.set(atlas, Object.entries(atlas.slices).flatMap(([key, regions]) => {
+      const [saturation, lightness] = key.split(',').map(Number);
+      return colorsFromAtlas(regions, saturation, lightness);
+    }));
+  }
+  return atlasColors.get(atlas);
+}
+
+/**
+ * Describes what the cache currently holds
+ * @returns {Promise<Object>} Cache stats plus the active provider id
  */
-export function clearCache() {
-  cache.clear();
+export async function getCacheStats() {
+  await cache.ready();
+  return { ...cache.stats(), activeProvider: provider.id };
 }
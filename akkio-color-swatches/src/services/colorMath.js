@@ -0,0 +1,361 @@
+/**
+ * Color Math
+ *
+ * Pure color-space conversions and perceptual distance used by the local
+ * naming engine, the color-model explorers and the swatch detail panel. Everything here is synchronous and dependency-free so it can
+ * run anywhere the service layer runs.
+ */
+
+/**
+ * Converts an HSL triple to 8-bit sRGB
+ * @param {number} hue - Hue in degrees (wrapped into 0-360)
+ * @param {number} saturation - Saturation percentage (0-100)
+ * @param {number} lightness - Lightness percentage (0-100)
+ * @returns {{red: number, green: number, blue: number}} Rounded RGB channels
+ */
+export function hslToRgb(hue, saturation, lightness) {
+  const h = ((hue % 360) + 360) % 360;
+  const s = saturation / 100;
+  const l = lightness / 100;
+
+  const chroma = (1 - Math.abs(2 * l - 1)) * s;
+  const x = chroma * (1 - Math.abs(((h / 60) % 2) - 1));
+  const m = l - chroma / 2;
+
+  let r = 0;
+  let g = 0;
+  let b = 0;
+  if (h < 60) [r, g, b] = [chroma, x, 0];
+  else if (h < 120) [r, g, b] = [x, chroma, 0];
+  else if (h < 180) [r, g, b] = [0, chroma, x];
+  else if (h < 240) [r, g, b] = [0, x, chroma];
+  else if (h < 300) [r, g, b] = [x, 0, chroma];
+  else [r, g, b] = [chroma, 0, x];
+
+  return {
+    red: Math.round((r + m) * 255),
+    green: Math.round((g + m) * 255),
+    blue: Math.round((b + m) * 255),
+  };
+}
+
+/**
+ * Formats RGB channels as an uppercase hex string (e.g. "#BF4040")
+ * @param {{red: number, green: number, blue: number}} rgb - RGB channels
+ * @returns {string} Hex color string
+ */
+export function rgbToHex({ red, green, blue }) {
+  return '#' + [red, green, blue]
+    .map(channel => channel.toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase();
+}
+
+/**
+ * Parses a 3- or 6-digit hex string into RGB channels
+ * @param {string} hex - Hex color, with or without the leading "#"
+ * @returns {{red: number, green: number, blue: number}|null} RGB, or null if invalid
+ */
+export function hexToRgb(hex) {
+  let digits = String(hex).trim().replace(/^#/, '');
+  if (/^[0-9a-f]{3}$/i.test(digits)) {
+    digits = digits.split('').map(d => d + d).join('');
+  }
+  if (!/^[0-9a-f]{6}$/i.test(digits)) {
+    return null;
+  }
+  return {
+    red: parseInt(digits.slice(0, 2), 16),
+    green: parseInt(digits.slice(2, 4), 16),
+    blue: parseInt(digits.slice(4, 6), 16),
+  };
+}
+
+/**
+ * Converts an 8-bit sRGB channel to linear light (0-1)
+ * @param {number} channel - Channel value (0-255)
+ * @returns {number} Linearized channel
+ */
+export function srgbToLinear(channel) {
+  const c = channel / 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Converts a linear-light channel (0-1) back to an 8-bit sRGB channel
+ * @param {number} value - Linear channel, clamped to 0-1
+ * @returns {number} Rounded channel value (0-255)
+ */
+export function linearToSrgb(value) {
+  const v = Math.min(1, Math.max(0, value));
+  const c = v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+  return Math.round(c * 255);
+}
+
+/**
+ * Converts sRGB to CIELAB (D65 white point)
+ * @param {{red: number, green: number, blue: number}} rgb - RGB channels
+ * @returns {{L: number, a: number, b: number}} CIELAB coordinates
+ */
+export function rgbToLab({ red, green, blue }) {
+  const r = srgbToLinear(red);
+  const g = srgbToLinear(green);
+  const b = srgbToLinear(blue);
+
+  // Linear sRGB -> XYZ, normalized by the D65 reference white
+  const x = (r * 0.4124564 + g * 0.3575761 + b * 0.1804375) / 0.95047;
+  const y = r * 0.2126729 + g * 0.7151522 + b * 0.0721750;
+  const z = (r * 0.0193339 + g * 0.1191920 + b * 0.9503041) / 1.08883;
+
+  const f = t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  const fx = f(x);
+  const fy = f(y);
+  const fz = f(z);
+
+  return {
+    L: 116 * fy - 16,
+    a: 500 * (fx - fy),
+    b: 200 * (fy - fz),
+  };
+}
+
+/**
+ * CIEDE2000 color difference between two CIELAB colors
+ * @param {{L: number, a: number, b: number}} lab1 - First color
+ * @param {{L: number, a: number, b: number}} lab2 - Second color
+ * @returns {number} ΔE00 (0 = identical, ~2.3 = just noticeable)
+ */
+export function deltaE2000(lab1, lab2) {
+  const rad = Math.PI / 180;
+  const { L: L1, a: a1, b: b1 } = lab1;
+  const { L: L2, a: a2, b: b2 } = lab2;
+
+  const C1 = Math.hypot(a1, b1);
+  const C2 = Math.hypot(a2, b2);
+  const meanC = (C1 + C2) / 2;
+  const G = 0.5 * (1 - Math.sqrt(Math.pow(meanC, 7) / (Math.pow(meanC, 7) + Math.pow(25, 7))));
+
+  const a1p = a1 * (1 + G);
+  const a2p = a2 * (1 + G);
+  const C1p = Math.hypot(a1p, b1);
+  const C2p = Math.hypot(a2p, b2);
+  const h1p = C1p === 0 ? 0 : (Math.atan2(b1, a1p) / rad + 360) % 360;
+  const h2p = C2p === 0 ? 0 : (Math.atan2(b2, a2p) / rad + 360) % 360;
+
+  const dLp = L2 - L1;
+  const dCp = C2p - C1p;
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * rad);
+
+  const meanLp = (L1 + L2) / 2;
+  const meanCp = (C1p + C2p) / 2;
+  let meanHp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) > 180) {
+      meanHp += h1p + h2p < 360 ? 360 : -360;
+    }
+    meanHp /= 2;
+  }
+
+  const T = 1
+    - 0.17 * Math.cos((meanHp - 30) * rad)
+    + 0.24 * Math.cos(2 * meanHp * rad)
+    + 0.32 * Math.cos((3 * meanHp + 6) * rad)
+    - 0.20 * Math.cos((4 * meanHp - 63) * rad);
+  const dTheta = 30 * Math.exp(-Math.pow((meanHp - 275) / 25, 2));
+  const Rc = 2 * Math.sqrt(Math.pow(meanCp, 7) / (Math.pow(meanCp, 7) + Math.pow(25, 7)));
+  const Sl = 1 + (0.015 * Math.pow(meanLp - 50, 2)) / Math.sqrt(20 + Math.pow(meanLp - 50, 2));
+  const Sc = 1 + 0.045 * meanCp;
+  const Sh = 1 + 0.015 * meanCp * T;
+  const Rt = -Math.sin(2 * dTheta * rad) * Rc;
+
+  return Math.sqrt(
+    Math.pow(dLp / Sl, 2) +
+    Math.pow(dCp / Sc, 2) +
+    Math.pow(dHp / Sh, 2) +
+    Rt * (dCp / Sc) * (dHp / Sh)
+  );
+}
+
+/**
+ * Converts 8-bit sRGB to HSL
+ * @param {{red: number, green: number, blue: number}} rgb - RGB channels
+ * @returns {{hue: number, saturation: number, lightness: number}} Hue in
+ *   degrees, saturation and lightness as percentages (unrounded)
+ */
+export function rgbToHsl({ red, green, blue }) {
+  const r = red / 255;
+  const g = green / 255;
+  const b = blue / 255;
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const chroma = max - min;
+  const lightness = (max + min) / 2;
+
+  const saturation = chroma === 0 ? 0 : chroma / (1 - Math.abs(2 * lightness - 1));
+
+  return {
+    hue: hueFromChannels(r, g, b, max, chroma),
+    saturation: saturation * 100,
+    lightness: lightness * 100,
+  };
+}
+
+/**
+ * Converts 8-bit sRGB to HSV (a.k.a. HSB)
+ * @param {{red: number, green: number, blue: number}} rgb - RGB channels
+ * @returns {{hue: number, saturation: number, value: number}} Hue in degrees,
+ *   saturation and value as percentages (unrounded)
+ */
+export function rgbToHsv({ red, green, blue }) {
+  const r = red / 255;
+  const g = green / 255;
+  const b = blue / 255;
+  const max = Math.max(r, g, b);
+  const chroma = max - Math.min(r, g, b);
+
+  return {
+    hue: hueFromChannels(r, g, b, max, chroma),
+    saturation: max === 0 ? 0 : (chroma / max) * 100,
+    value: max * 100,
+  };
+}
+
+/**
+ * Shared hue computation for HSL and HSV (0 for grays)
+ */
+function hueFromChannels(r, g, b, max, chroma) {
+  if (chroma === 0) return 0;
+  let hue;
+  if (max === r) hue = ((g - b) / chroma) % 6;
+  else if (max === g) hue = (b - r) / chroma + 2;
+  else hue = (r - g) / chroma + 4;
+  return (hue * 60 + 360) % 360;
+}
+
+/**
+ * Converts 8-bit sRGB to naive (device) CMYK
+ * @param {{red: number, green: number, blue: number}} rgb - RGB channels
+ * @returns {{cyan: number, magenta: number, yellow: number, key: number}} Percentages
+ */
+export function rgbToCmyk({ red, green, blue }) {
+  const r = red / 255;
+  const g = green / 255;
+  const b = blue / 255;
+  const key = 1 - Math.max(r, g, b);
+  if (key === 1) {
+    return { cyan: 0, magenta: 0, yellow: 0, key: 100 };
+  }
+
+  return {
+    cyan: ((1 - r - key) / (1 - key)) * 100,
+    magenta: ((1 - g - key) / (1 - key)) * 100,
+    yellow: ((1 - b - key) / (1 - key)) * 100,
+    key: key * 100,
+  };
+}
+
+/**
+ * Converts 8-bit sRGB to OKLab
+ * @param {{red: number, green: number, blue: number}} rgb - RGB channels
+ * @returns {{L: number, a: number, b: number}} OKLab coordinates (L in 0-1)
+ */
+export function rgbToOklab({ red, green, blue }) {
+  const r = srgbToLinear(red);
+  const g = srgbToLinear(green);
+  const b = srgbToLinear(blue);
+
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+  return {
+    L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s,
+  };
+}
+
+/**
+ * Converts 8-bit sRGB to OKLCH, the polar form of OKLab
+ * @param {{red: number, green: number, blue: number}} rgb - RGB channels
+ * @returns {{L: number, C: number, h: number}} Lightness (0-1), chroma and
+ *   hue in degrees (0 for grays)
+ */
+export function rgbToOklch(rgb) {
+  const { L, a, b } = rgbToOklab(rgb);
+  const C = Math.hypot(a, b);
+  // Near-zero chroma has no meaningful hue
+  const h = C < 1e-4 ? 0 : (Math.atan2(b, a) * 180 / Math.PI + 360) % 360;
+  return { L, C, h };
+}
+
+/**
+ * Converts an HSV triple to 8-bit sRGB
+ * @param {number} hue - Hue in degrees (wrapped into 0-360)
+ * @param {number} saturation - Saturation percentage (0-100)
+ * @param {number} value - Value percentage (0-100)
+ * @returns {{red: number, green: number, blue: number}} Rounded RGB channels
+ */
+export function hsvToRgb(hue, saturation, value) {
+  // HSV and HSL share their hue and chroma; only the lightness differs
+  const v = value / 100;
+  const l = v * (1 - saturation / 200);
+  const s = l === 0 || l === 1 ? 0 : (v - l) / Math.min(l, 1 - l);
+  return hslToRgb(hue, s * 100, l * 100);
+}
+
+/**
+ * Converts OKLCH to linear sRGB, without clamping, so callers can tell
+ * whether the color is inside the sRGB gamut
+ * @param {number} L - Lightness (0-1)
+ * @param {number} C - Chroma
+ * @param {number} h - Hue in degrees
+ * @returns {number[]} Linear [r, g, b], in gamut when each is within 0-1
+ */
+export function oklchToLinearRgb(L, C, h) {
+  const a = C * Math.cos(h * Math.PI / 180);
+  const b = C * Math.sin(h * Math.PI / 180);
+
+  const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+  const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+  const s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s,
+  ];
+}
+
+/**
+ * Converts CIELCh (D65, the polar form of rgbToLab's CIELAB) to linear
+ * sRGB, without clamping
+ * @param {number} L - Lightness (0-100)
+ * @param {number} C - Chroma
+ * @param {number} h - Hue in degrees
+ * @returns {number[]} Linear [r, g, b], in gamut when each is within 0-1
+ */
+export function lchToLinearRgb(L, C, h) {
+  const a = C * Math.cos(h * Math.PI / 180);
+  const b = C * Math.sin(h * Math.PI / 180);
+
+  const fy = (L + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - b / 200;
+  const finv = t => (t ** 3 > 216 / 24389 ? t ** 3 : (116 * t - 16) / (24389 / 27));
+  const x = finv(fx) * 0.95047;
+  const y = finv(fy);
+  const z = finv(fz) * 1.08883;
+
+  return [
+    3.2404542 * x - 1.5371385 * y - 0.4985314 * z,
+    -0.9692660 * x + 1.8760108 * y + 0.0415560 * z,
+    0.0556434 * x - 0.2040259 * y + 1.0572252 * z,
+  ];
+}
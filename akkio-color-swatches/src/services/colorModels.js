@@ -0,0 +1,226 @@
+/**
+ * Color Models
+ *
+ * The models the explorer can slice: HSL, HSV, OKLCH and CIELCh. A slice
+ * fixes two of a model's axes and sweeps the third, described by plain
+ * data so it can be kept in the URL and sent to the discovery worker:
+ *
+ *   { model: 'oklch', sweep: 'h', fixed: { l: 62, c: 40 } }
+ *
+ * Providers only answer HSL, so every point along a sweep is converted to
+ * sRGB (reducing chroma until it fits the gamut, for OKLCH and CIELCh) and
+ * queried as the nearest whole HSL value. Those queries share the cache
+ * with the HSL explorer.
+ *
+ * Axis values are kept in units that make 1 a sensible step: degrees for
+ * hue, percent for the rest. OKLCH chroma is a percentage of 0.4 and
+ * CIELCh chroma runs 0-150, as in CSS Color 4.
+ */
+
+import {
+  hslToRgb,
+  hsvToRgb,
+  lchToLinearRgb,
+  linearToSrgb,
+  oklchToLinearRgb,
+  rgbToHsl,
+} from './colorMath.js';
+
+const HUE = { id: 'h', label: 'Hue', min: 0, max: 360, unit: '°', circular: true, initial: 0 };
+const percent = (id, label, initial = 50) => ({ id, label, min: 0, max: 100, unit: '%', initial });
+
+/**
+ * Finds the largest chroma at or below `chroma` that is inside the sRGB
+ * gamut (a binary search, as CSS Color 4 gamut mapping does)
+ */
+function mapToGamut(toLinear, lightness, chroma, hue) {
+  const inGamut = channels => channels.every(value => value >= -1e-6 && value <= 1 + 1e-6);
+  const linear = toLinear(lightness, chroma, hue);
+  if (inGamut(linear)) return { linear, clipped: false };
+
+  let low = 0;
+  let high = chroma;
+  for (let i = 0; i < 24; i++) {
+    const mid = (low + high) / 2;
+    if (inGamut(toLinear(lightness, mid, hue))) low = mid;
+    else high = mid;
+  }
+  return { linear: toLinear(lightness, low, hue), clipped: true };
+}
+
+const toRgb = ([red, green, blue]) => ({
+  red: linearToSrgb(red),
+  green: linearToSrgb(green),
+  blue: linearToSrgb(blue),
+});
+
+export const COLOR_MODELS = [
+  {
+    id: 'hsl',
+    label: 'HSL',
+    axes: [HUE, percent('s', 'Saturation'), percent('l', 'Lightness')],
+    toRgb: ({ h, s, l }) => ({ rgb: hslToRgb(h, s, l), clipped: false }),
+    format: ({ h, s, l }) => `hsl(${h} ${s}% ${l}%)`,
+  },
+  {
+    id: 'hsv',
+    label: 'HSV',
+    axes: [HUE, percent('s', 'Saturation'), percent('v', 'Value', 80)],
+    toRgb: ({ h, s, v }) => ({ rgb: hsvToRgb(h, s, v), clipped: false }),
+    format: ({ h, s, v }) => `hsv(${h}° ${s}% ${v}%)`,
+  },
+  {
+    id: 'oklch',
+    label: 'OKLCH',
+    axes: [percent('l', 'Lightness', 65), percent('c', 'Chroma', 30), HUE],
+    toRgb: ({ l, c, h }) => {
+      const { linear, clipped } = mapToGamut(oklchToLinearRgb, l / 100, (c / 100) * 0.4, h);
+      return { rgb: toRgb(linear), clipped };
+    },
+    format: ({ l, c, h }) => `oklch(${l}% ${c}% ${h})`,
+  },
+  {
+    id: 'lch',
+    label: 'CIELCh',
+    axes: [
+      percent('l', 'Lightness', 60),
+      { id: 'c', label: 'Chroma', min: 0, max: 150, unit: '', initial: 40 },
+      HUE,
+    ],
+    toRgb: ({ l, c, h }) => {
+      const { linear, clipped } = mapToGamut(lchToLinearRgb, l, c, h);
+      return { rgb: toRgb(linear), clipped };
+    },
+    format: ({ l, c, h }) => `lch(${l}% ${c} ${h})`,
+  },
+];
+
+export const DEFAULT_SLICE = { model: 'hsl', sweep: 'h', fixed: { s: 50, l: 50 } };
+
+/**
+ * @returns {Object} The model with this id (HSL for unknown ids)
+ */
+export function getColorModel(id) {
+  return COLOR_MODELS.find(model => model.id === id) ?? COLOR_MODELS[0];
+}
+
+/**
+ * @returns {Object} The axis a slice sweeps
+ */
+export function sweepAxis(slice) {
+  return getColorModel(slice.model).axes.find(axis => axis.id === slice.sweep);
+}
+
+/**
+ * @returns {Object[]} The two axes a slice holds fixed, in model order
+ */
+export function fixedAxes(slice) {
+  return getColorModel(slice.model).axes.filter(axis => axis.id !== slice.sweep);
+}
+
+/**
+ * Makes a valid slice from a partial or untrusted one: unknown models and
+ * axes fall back to defaults, fixed values are rounded into range
+ * @param {Object} [spec] - `{ model, sweep, fixed }`, any part missing
+ * @returns {Object} A complete slice
+ */
+export function normalizeSlice({ model, sweep, fixed = {} } = {}) {
+  const colorModel = getColorModel(model);
+  const axis = colorModel.axes.find(candidate => candidate.id === sweep) ?? HUE;
+
+  const values = {};
+  for (const fixedAxis of colorModel.axes) {
+    if (fixedAxis.id === axis.id) continue;
+    const value = Math.round(Number(fixed[fixedAxis.id]));
+    if (!Number.isFinite(value)) {
+      values[fixedAxis.id] = fixedAxis.initial;
+    } else if (fixedAxis.circular) {
+      values[fixedAxis.id] = ((value % fixedAxis.max) + fixedAxis.max) % fixedAxis.max;
+    } else {
+      values[fixedAxis.id] = Math.min(fixedAxis.max, Math.max(fixedAxis.min, value));
+    }
+  }
+  return { model: colorModel.id, sweep: axis.id, fixed: values };
+}
+
+/**
+ * @returns {boolean} True for the classic explorer: HSL with hue swept
+ */
+export function isHslHueSlice(slice) {
+  return slice.model === 'hsl' && slice.sweep === 'h';
+}
+
+/**
+ * @returns {Object} The HSL hue slice at a saturation and lightness
+ */
+export function hslSlice(saturation, lightness) {
+  return { model: 'hsl', sweep: 'h', fixed: { s: saturation, l: lightness } };
+}
+
+/**
+ * @returns {boolean} Whether two slices are the same
+ */
+export function sameSlice(a, b) {
+  return a.model === b.model && a.sweep === b.sweep &&
+    fixedAxes(a).every(axis => a.fixed[axis.id] === b.fixed[axis.id]);
+}
+
+/**
+ * @returns {Object} Every coordinate of the point at `position` along the sweep
+ */
+export function sliceCoords(slice, position) {
+  return { ...slice.fixed, [slice.sweep]: position };
+}
+
+/**
+ * The sRGB color at a point along the sweep
+ * @returns {{rgb: Object, clipped: boolean}} RGB channels, and whether the
+ *   point was outside sRGB and had its chroma reduced
+ */
+export function sliceColorAt(slice, position) {
+  return getColorModel(slice.model).toRgb(sliceCoords(slice, position));
+}
+
+/**
+ * The provider query for a point along the sweep. HSL slices query their
+ * own coordinates; other models query the nearest whole HSL value.
+ * @returns {{hue: number, saturation: number, lightness: number}}
+ */
+export function sliceQuery(slice, position) {
+  const coords = sliceCoords(slice, position);
+  if (slice.model === 'hsl') {
+    return { hue: coords.h, saturation: coords.s, lightness: coords.l };
+  }
+
+  const { hue, saturation, lightness } = rgbToHsl(sliceColorAt(slice, position).rgb);
+  return {
+    hue: Math.round(hue) % 360,
+    saturation: Math.round(saturation),
+    lightness: Math.round(lightness),
+  };
+}
+
+/**
+ * @returns {string} A point in the slice's model, e.g. "oklch(65% 30% 120)"
+ */
+export function formatSliceColor(slice, position) {
+  return getColorModel(slice.model).format(sliceCoords(slice, position));
+}
+
+/**
+ * @returns {string} A value on the swept axis with its unit, e.g. "120°"
+ */
+export function formatSweepValue(slice, value) {
+  return `${value}${sweepAxis(slice).unit}`;
+}
+
+/**
+ * Short description of a slice for titles and file names, e.g. "S50 L50"
+ * for HSL hue slices and "OKLCH L65 C30" otherwise
+ */
+export function describeSlice(slice) {
+  const fixed = fixedAxes(slice)
+    .map(axis => `${axis.id.toUpperCase()}${slice.fixed[axis.id]}`)
+    .join(' ');
+  return isHslHueSlice(slice) ? fixed : `${getColorModel(slice.model).label} ${fixed}`;
+}
@@ -0,0 +1,285 @@
+/**
+ * Color Providers
+ *
+ * A provider turns an HSL value into a named color. colorApi.js talks to
+ * exactly one active provider (plus an optional fallback), so pointing the
+ * app at a different naming service only needs a new provider, not changes
+ * to the service module.
+ *
+ * Provider shape:
+ *   {
+ *     id: string,                      // unique, used to keep caches apart
+ *     naming?: string,                 // the name set, when it isn't The Color API's
+ *     cacheable?: boolean,             // false to skip the cache (e.g. replay)
+ *     lookup(hue, saturation, lightness, signal)
+ *       => Promise<{ name, rgb: { red, green, blue }, hex, hsl }>
+ *   }
+ *
+ * Failed lookups should reject with a TypeError for network failures (as
+ * fetch does) or an Error with a numeric `status` for HTTP failures, plus
+ * `retryAfter` in ms when the server asked for a delay. colorApi.js uses
+ * these to decide whether and when to retry.
+ */
+
+import { nameColorLocally } from './localColorNamer.js';
+import { hslToRgb, rgbToHex } from './colorMath.js';
+import { createReplayProvider, loadFixture } from './fixtures.js';
+import { wait } from './requestScheduler.js';
+
+/**
+ * Builds the `hsl` string in the format The Color API echoes back
+ */
+function formatHsl(hue, saturation, lightness) {
+  return `hsl(${hue}, ${saturation}%, ${lightness}%)`;
+}
+
+/**
+ * Reads a dot-separated path ("rgb.r") out of a response object
+ */
+function readPath(data, path) {
+  return path.split('.').reduce(
+    (value, key) => (value === null || value === undefined ? undefined : value[key]),
+    data
+  );
+}
+
+/**
+ * Reads a Retry-After header (delta-seconds or HTTP date) as milliseconds
+ * @returns {number|null}
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Fetches JSON and turns HTTP failures into errors carrying `status` and,
+ * when the server sent one, `retryAfter` (ms)
+ */
+async function fetchJson(url, { signal, headers } = {}) {
+  const response = await fetch(url, { signal, headers });
+
+  if (!response.ok) {
+    throw Object.assign(new Error(`API error: ${response.status}`), {
+      status: response.status,
+      retryAfter: parseRetryAfter(response.headers.get('Retry-After')),
+    });
+  }
+
+  return response.json();
+}
+
+/**
+ * Adapter for The Color API (thecolorapi.com)
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - API origin
+ * @returns {Object} Color provider
+ */
+export function createTheColorApiProvider({ baseUrl = 'https://www.thecolorapi.com' } = {}) {
+  return {
+    id: 'thecolorapi',
+    async lookup(hue, saturation, lightness, signal) {
+      // The Color API format: /id?hsl=h,s,l
+      const data = await fetchJson(`${baseUrl}/id?hsl=${hue},${saturation},${lightness}`, { signal });
+
+      // Validate data structure (The Color API structure)
+      if (!data || !data.rgb || !data.name) {
+        throw new Error('Invalid API response structure');
+      }
+
+      return {
+        name: data.name.value || 'Unnamed',
+        rgb: {
+          red: data.rgb.r,
+          green: data.rgb.g,
+          blue: data.rgb.b,
+        },
+        hex: data.hex.value,
+        hsl: data.hsl.value,
+      };
+    },
+  };
+}
+
+/**
+ * Adapter for any JSON endpoint, described by a URL template and a field map
+ *
+ * The URL template may use `{h}`, `{s}` and `{l}` placeholders. The field map
+ * gives a dot path into the response for each output field; `hex` and `hsl`
+ * are optional and derived from the RGB/query values when missing.
+ *
+ * @example
+ * createJsonEndpointProvider({
+ *   url: 'http://localhost:8080/name?h={h}&s={s}&l={l}',
+ *   fields: { name: 'label', red: 'color.r', green: 'color.g', blue: 'color.b' },
+ * })
+ *
+ * @param {Object} options
+ * @param {string} options.url - URL template
+ * @param {Object} options.fields - Dot paths for name, red, green, blue (hex, hsl optional)
+ * @param {string} [options.id] - Provider id (defaults to one derived from the URL)
+ * @param {Object} [options.headers] - Extra request headers
+ * @returns {Object} Color provider
+ */
+export function createJsonEndpointProvider({ url, fields, id, headers } = {}) {
+  if (!url || !fields) {
+    throw new Error('JSON endpoint provider needs a url and a fields map');
+  }
+  for (const field of ['name', 'red', 'green', 'blue']) {
+    if (!fields[field]) {
+      throw new Error(`JSON endpoint provider is missing a path for "${field}"`);
+    }
+  }
+
+  return {
+    id: id || `json:${url}`,
+    async lookup(hue, saturation, lightness, signal) {
+      const requestUrl = url
+        .replace(/\{h\}/g, encodeURIComponent(hue))
+        .replace(/\{s\}/g, encodeURIComponent(saturation))
+        .replace(/\{l\}/g, encodeURIComponent(lightness));
+
+      const data = await fetchJson(requestUrl, { signal, headers });
+
+      const rgb = {
+        red: Number(readPath(data, fields.red)),
+        green: Number(readPath(data, fields.green)),
+        blue: Number(readPath(data, fields.blue)),
+      };
+      if ([rgb.red, rgb.green, rgb.blue].some(Number.isNaN)) {
+        throw new Error('Invalid API response structure');
+      }
+
+      return {
+        name: readPath(data, fields.name) || 'Unnamed',
+        rgb,
+        hex: (fields.hex && readPath(data, fields.hex)) || rgbToHex(rgb),
+        hsl: (fields.hsl && readPath(data, fields.hsl)) || formatHsl(hue, saturation, lightness),
+      };
+    },
+  };
+}
+
+/**
+ * In-memory mock provider for development and demos
+ *
+ * Answers from `colors` (keyed by "h,s,l") when present, otherwise from
+ * `resolveName`, which defaults to naming 30° hue bands ("Mock 0", "Mock 30",
+ * ...). Every lookup is recorded in `calls`.
+ *
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.colors] - Fixed names keyed by "h,s,l"
+ * @param {Function} [options.resolveName] - (hue, saturation, lightness) => name
+ * @param {number} [options.latency] - Simulated latency in ms
+ * @param {string} [options.id] - Provider id
+ * @returns {Object} Color provider
+ */
+export function createMockProvider({
+  colors = {},
+  resolveName = hue => `Mock ${Math.floor(hue / 30) * 30}`,
+  latency = 0,
+  id = 'mock',
+} = {}) {
+  const calls = [];
+
+  return {
+    id,
+    calls,
+    async lookup(hue, saturation, lightness, signal) {
+      calls.push([hue, saturation, lightness]);
+
+      if (latency > 0) {
+        await wait(latency, signal);
+      }
+
+      const rgb = hslToRgb(hue, saturation, lightness);
+      return {
+        name: colors[`${hue},${saturation},${lightness}`] || resolveName(hue, saturation, lightness),
+        rgb,
+        hex: rgbToHex(rgb),
+        hsl: formatHsl(hue, saturation, lightness),
+      };
+    },
+  };
+}
+
+/**
+ * Provider backed by the bundled offline naming engine (no network)
+ *
+ * Not a drop-in for The Color API: it names colors from the ~140 CSS named
+ * colors, so most slices get different, broader names. `naming` says so in
+ * the UI, and its own id keeps its cache, atlases and fixtures apart.
+ * @returns {Object} Color provider
+ */
+export function createLocalProvider() {
+  return {
+    id: 'local',
+    naming: 'CSS named colors',
+    async lookup(hue, saturation, lightness) {
+      const { name, rgb, hex, hsl } = nameColorLocally(hue, saturation, lightness);
+      return { name, rgb, hex, hsl };
+    },
+  };
+}
+
+/**
+ * Builds the provider setup described by Vite env variables:
+ *
+ * - VITE_COLOR_PROVIDER: 'thecolorapi' (default), 'json', 'mock', 'local'
+ *                        or 'replay'
+ * - VITE_COLOR_ENDPOINT: URL template for 'json', or base URL for 'thecolorapi'
+ * - VITE_COLOR_FIELDS:   JSON field map for 'json'
+ * - VITE_COLOR_FIXTURE:  fixture URL for 'replay'
+ * - VITE_REPLAY_LATENCY, VITE_REPLAY_ERROR_RATE, VITE_REPLAY_ERROR_STATUS:
+ *                        simulated latency (ms) and injected failures for 'replay'
+ * - VITE_COLOR_FALLBACK: 'local' to name colors offline when the provider
+ *                        can't be reached
+ *
+ * @param {Object} env - Usually import.meta.env
+ * @param {Object} [options]
+ * @param {Promise<Object>} [options.fixture] - The replay fixture, already
+ *   loading, instead of fetching VITE_COLOR_FIXTURE here
+ * @returns {{provider: Object, fallback: Object|null}} Providers for configureColorProvider
+ */
+export function createProvidersFromEnv(env = {}, { fixture = null } = {}) {
+  let provider;
+  switch (env.VITE_COLOR_PROVIDER || 'thecolorapi') {
+    case 'thecolorapi':
+      provider = createTheColorApiProvider(
+        env.VITE_COLOR_ENDPOINT ? { baseUrl: env.VITE_COLOR_ENDPOINT } : undefined
+      );
+      break;
+    case 'json':
+      provider = createJsonEndpointProvider({
+        url: env.VITE_COLOR_ENDPOINT,
+        fields: env.VITE_COLOR_FIELDS ? JSON.parse(env.VITE_COLOR_FIELDS) : undefined,
+      });
+      break;
+    case 'mock':
+      provider = createMockProvider();
+      break;
+    case 'local':
+      provider = createLocalProvider();
+      break;
+    case 'replay':
+      if (!env.VITE_COLOR_FIXTURE) {
+        throw new Error('The replay provider needs VITE_COLOR_FIXTURE');
+      }
+      provider = createReplayProvider({
+        fixture: fixture ?? loadFixture(env.VITE_COLOR_FIXTURE),
+        latency: Number(env.VITE_REPLAY_LATENCY) || 0,
+        errorRate: Number(env.VITE_REPLAY_ERROR_RATE) || 0,
+        errorStatus: Number(env.VITE_REPLAY_ERROR_STATUS) || undefined,
+      });
+      break;
+    default:
+      throw new Error(`Unknown color provider: ${env.VITE_COLOR_PROVIDER}`);
+  }
+
+  const fallback = env.VITE_COLOR_FALLBACK === 'local' ? createLocalProvider() : null;
+
+  return { provider, fallback };
+}
@@ -0,0 +1,164 @@
+/**
+ * Color Search
+ *
+ * Reverse lookup: turns what a user types (a hex code, rgb() or hsl(), or
+ * part of a color name) into an HSL location to jump to. Name searches are
+ * fuzzy and run over colors seen before: cached lookups, the name atlas
+ * and the grid on screen.
+ */
+
+import { hexToRgb, rgbToHsl } from './colorMath.js';
+
+/**
+ * Reads an rgb()/rgba() channel, either 0-255 or a percentage
+ */
+function readChannel(text) {
+  const value = parseFloat(text);
+  const channel = text.trim().endsWith('%') ? (value / 100) * 255 : value;
+  return Math.min(255, Math.max(0, Math.round(channel)));
+}
+
+/**
+ * Parses a search query
+ *
+ * Hex needs a leading "#" unless it contains a digit, so words made of hex
+ * letters ("beige" isn't, but "facade" is) are still searched as names.
+ *
+ * @param {string} text - User input
+ * @returns {{type: 'hsl', hue: number, saturation: number, lightness: number}
+ *   |{type: 'name', text: string}|null} HSL location for color codes (rounded
+ *   to integers), the text for name searches, or null for empty input
+ */
+export function parseColorQuery(text) {
+  const query = String(text || '').trim();
+  if (!query) return null;
+
+  let rgb = null;
+
+  const hex = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(query);
+  if (hex && (query.startsWith('#') || /\d/.test(hex[1]))) {
+    rgb = hexToRgb(hex[1]);
+  }
+
+  const rgbMatch = /^rgba?\(\s*([\d.]+%?)[\s,]+([\d.]+%?)[\s,]+([\d.]+%?)\s*(?:[,/]\s*[\d.]+%?\s*)?\)$/i.exec(query);
+  if (rgbMatch) {
+    rgb = { red: readChannel(rgbMatch[1]), green: readChannel(rgbMatch[2]), blue: readChannel(rgbMatch[3]) };
+  }
+
+  const hslMatch = /^hsla?\(\s*([\d.]+)(?:deg)?[\s,]+([\d.]+)%?[\s,]+([\d.]+)%?\s*(?:[,/]\s*[\d.]+%?\s*)?\)$/i.exec(query);
+  if (hslMatch) {
+    return {
+      type: 'hsl',
+      hue: Math.round(Number(hslMatch[1])) % 360,
+      saturation: Math.min(100, Math.round(Number(hslMatch[2]))),
+      lightness: Math.min(100, Math.round(Number(hslMatch[3]))),
+    };
+  }
+
+  if (rgb) {
+    const hsl = rgbToHsl(rgb);
+    return {
+      type: 'hsl',
+      hue: Math.round(hsl.hue) % 360,
+      saturation: Math.round(hsl.saturation),
+      lightness: Math.round(hsl.lightness),
+    };
+  }
+
+  return { type: 'name', text: query };
+}
+
+function normalize(text) {
+  return text.toLowerCase().replace(/[^a-z0-9 ]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Scores how well a name matches a query, from 0 (no match) to 1 (exact)
+ * @param {string} name - Candidate color name
+ * @param {string} query - Search text
+ * @returns {number}
+ */
+export function scoreNameMatch(name, query) {
+  const n = normalize(name);
+  const q = normalize(query);
+  if (!q || !n) return 0;
+
+  // Spacing shouldn't matter: "tealblue" finds "Teal Blue"
+  const compactName = n.replace(/ /g, '');
+  const compactQuery = q.replace(/ /g, '');
+
+  if (compactName === compactQuery) return 1;
+  if (compactName.startsWith(compactQuery)) return 0.9;
+  if (n.split(' ').some(word => word.startsWith(q))) return 0.8;
+  if (compactName.includes(compactQuery)) return 0.7;
+
+  // Typos: edit distance to the whole name, or to its start for partial input
+  const similarity = Math.max(
+    1 - levenshtein(compactName, compactQuery) / Math.max(compactName.length, compactQuery.length),
+    1 - levenshtein(compactName.slice(0, compactQuery.length), compactQuery) / compactQuery.length
+  );
+  return similarity >= 0.6 ? similarity * 0.6 : 0;
+}
+
+/**
+ * Fuzzy-searches names among known colors
+ *
+ * @param {Object[]} colors - Color data (any S/L); a sample listed more
+ *   than once, e.g. both cached and on screen, counts once
+ * @param {string} query - Search text
+ * @param {Object} [options]
+ * @param {{saturation: number, lightness: number}} [options.near] - Prefer
+ *   samples closest to this S/L
+ * @param {number} [options.limit] - Max names returned (default 8)
+ * @returns {{name: string, score: number, color: Object, count: number}[]}
+ *   Best matches first; `color` is the sample to jump to and `count` how
+ *   many samples have the name
+ */
+export function searchColorNames(colors, query, { near = null, limit = 8 } = {}) {
+  const samplesByName = new Map();
+  const seen = new Set();
+  for (const color of colors) {
+    if (!color?.name || color.name === 'Unnamed') continue;
+    const key = `${color.name}|${color.hue},${color.saturation},${color.lightness}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    if (!samplesByName.has(color.name)) samplesByName.set(color.name, []);
+    samplesByName.get(color.name).push(color);
+  }
+
+  const distance = color => (near
+    ? Math.hypot(color.saturation - near.saturation, color.lightness - near.lightness)
+    : 0);
+
+  const results = [];
+  for (const [name, samples] of samplesByName) {
+    const score = scoreNameMatch(name, query);
+    if (score === 0) continue;
+
+    const color = samples.reduce((best, sample) => {
+      const d = distance(sample) - distance(best);
+      return d < 0 || (d === 0 && sample.hue < best.hue) ? sample : best;
+    });
+    results.push({ name, score, color, count: samples.length });
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+    .slice(0, limit);
+}
@@ -0,0 +1,66 @@
+/**
+ * Color Service Setup
+ *
+ * Configures colorApi.js from the VITE_COLOR_* variables: the provider and
+ * its fallback, the name atlas and fixture recording. The main thread and
+ * the discovery worker each hold their own colorApi state, so both run
+ * this at startup with the same variables. Files (the atlas and a replay
+ * fixture) are only fetched by the main thread, so relative URLs resolve
+ * against the page; the worker is handed the loaded data. The main thread's
+ * provider only sends requests when discovery runs in-thread (no worker);
+ * otherwise page lookups go to the worker through discoveryClient.js.
+ */
+
+import {
+  configureColorProvider,
+  configureFixtureRecorder,
+  configureNameAtlas,
+} from './colorApi.js';
+import { createProvidersFromEnv } from './colorProviders.js';
+import { createFixtureRecorder, loadFixture } from './fixtures.js';
+import { loadAtlas } from './nameAtlas.js';
+
+/**
+ * Starts loading the files the variables point at
+ * @param {Object} env - Environment variables (import.meta.env)
+ * @returns {{atlas: Promise<Object>|null, fixture: Promise<Object>|null}}
+ *   The name atlas and replay fixture, where configured
+ */
+export function loadColorServiceData(env) {
+  const fixture = env.VITE_COLOR_PROVIDER === 'replay' && env.VITE_COLOR_FIXTURE
+    ? loadFixture(env.VITE_COLOR_FIXTURE)
+    : null;
+  // Each consumer reports a failed load itself
+  fixture?.catch(() => {});
+
+  return {
+    // Precomputed name regions, e.g. /name-atlas.json from `npm run build-atlas`
+    atlas: env.VITE_COLOR_ATLAS ? loadAtlas(env.VITE_COLOR_ATLAS) : null,
+    fixture,
+  };
+}
+
+/**
+ * @param {Object} env - Environment variables (import.meta.env)
+ * @param {Object} [options]
+ * @param {Object} [options.recorder] - Recorder to use when VITE_COLOR_RECORD
+ *   is set, instead of a new one (the worker forwards to the main thread's)
+ * @param {Object} [options.data] - From loadColorServiceData; loaded here
+ *   when omitted
+ * @returns {Object} The active provider
+ */
+export function configureColorServices(env, { recorder = null, data = loadColorServiceData(env) } = {}) {
+  const { provider, fallback } = createProvidersFromEnv(env, { fixture: data.fixture });
+  configureColorProvider(provider, { fallback });
+
+  if (data.atlas) {
+    configureNameAtlas(data.atlas);
+  }
+
+  // Capture every lookup for later replay; the toolbar offers the download
+  if (env.VITE_COLOR_RECORD) {
+    configureFixtureRecorder(recorder ?? createFixtureRecorder(provider.id));
+  }
+
+  return provider;
+}
@@ -0,0 +1,137 @@
+/**
+ * Color Sorting, Grouping and Filtering
+ *
+ * Arranges discovered colors for the swatch grid. Discovery returns colors
+ * by hue, so 'hue' keeps that order; the other orders sort a copy. Grouping
+ * buckets colors into hue families, keeping the sort order within each.
+ *
+ * Colors from a slice that sweeps another axis (see colorModels.js) arrive
+ * in that axis' order, and their bands and spans are measured along it.
+ */
+
+import { relativeLuminance, contrastRatio } from './wcag.js';
+import { hexToRgb, rgbToHsl } from './colorMath.js';
+
+export const SORT_OPTIONS = [
+  { id: 'hue', label: 'Hue' },
+  { id: 'name', label: 'Name' },
+  { id: 'luminance', label: 'Luminance (dark first)' },
+  { id: 'span', label: 'Hue span (widest first)' },
+];
+
+// Families in display order; each covers [from, to) degrees, reds wrap past 0°
+export const HUE_FAMILIES = [
+  { id: 'reds', label: 'Reds', from: 345, to: 15 },
+  { id: 'oranges', label: 'Oranges', from: 15, to: 45 },
+  { id: 'yellows', label: 'Yellows', from: 45, to: 70 },
+  { id: 'greens', label: 'Greens', from: 70, to: 165 },
+  { id: 'cyans', label: 'Cyans', from: 165, to: 195 },
+  { id: 'blues', label: 'Blues', from: 195, to: 255 },
+  { id: 'purples', label: 'Purples', from: 255, to: 290 },
+  { id: 'pinks', label: 'Magentas & pinks', from: 290, to: 345 },
+];
+
+const NEUTRALS = { id: 'neutrals', label: 'Neutrals' };
+
+/**
+ * SORT_OPTIONS labeled for the swept axis: 'hue' is discovery order and
+ * 'span' the band width, both along that axis
+ * @param {string} [axis] - Label of the swept axis, e.g. 'Lightness'
+ * @returns {{id: string, label: string}[]} Sort options
+ */
+export function sortOptionsFor(axis = 'Hue') {
+  return SORT_OPTIONS.map(option => {
+    if (option.id === 'hue') return { ...option, label: axis };
+    if (option.id === 'span') return { ...option, label: `${axis} span (widest first)` };
+    return option;
+  });
+}
+
+/**
+ * Returns the colors in the requested order
+ * @param {Object[]} colors - Discovered colors
+ * @param {string} sort - One of SORT_OPTIONS' ids
+ * @returns {Object[]} Sorted colors (a new array unless already in hue order)
+ */
+export function sortColors(colors, sort) {
+  switch (sort) {
+    case 'name':
+      return [...colors].sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+    case 'luminance':
+      return [...colors].sort((a, b) => relativeLuminance(a.rgb) - relativeLuminance(b.rgb));
+    case 'span':
+      // Colors found before bands were tracked have no span; they go last
+      return [...colors].sort((a, b) => (b.hueSpan ?? 0) - (a.hueSpan ?? 0));
+    case 'hue':
+    default:
+      return colors;
+  }
+}
+
+/**
+ * Hue family of a color, judged at the middle of its hue band. Colors from
+ * a slice have bands along another axis, so their family comes from their
+ * own RGB instead. Near-gray, near-black and near-white colors are neutrals
+ * whatever their hue.
+ * @param {Object} color - Discovered color
+ * @returns {{id: string, label: string}} Family
+ */
+export function hueFamilyOf(color) {
+  const own = color.slice ? rgbToHsl(color.rgb) : null;
+  const saturation = own ? own.saturation : color.saturation;
+  const lightness = own ? own.lightness : color.lightness;
+  if (saturation < 10 || lightness < 6 || lightness > 96) {
+    return NEUTRALS;
+  }
+
+  let hue = color.hue;
+  if (own) {
+    hue = own.hue % 360;
+  } else if (color.hueSpan) {
+    hue = (color.hueStart + color.hueSpan / 2) % 360;
+  }
+
+  return HUE_FAMILIES.find(({ from, to }) => (
+    from < to ? hue >= from && hue < to : hue >= from || hue < to
+  ));
+}
+
+/**
+ * Buckets colors by hue family, in family order, skipping empty families
+ * @param {Object[]} colors - Colors, already sorted
+ * @returns {{id: string, label: string, colors: Object[]}[]} Groups
+ */
+export function groupByHueFamily(colors) {
+  const byFamily = new Map();
+  for (const color of colors) {
+    const family = hueFamilyOf(color);
+    if (!byFamily.has(family.id)) byFamily.set(family.id, []);
+    byFamily.get(family.id).push(color);
+  }
+
+  return [...HUE_FAMILIES, NEUTRALS]
+    .filter(family => byFamily.has(family.id))
+    .map(family => ({ id: family.id, label: family.label, colors: byFamily.get(family.id) }));
+}
+
+/**
+ * Keeps colors whose name contains `query` (case-insensitive) and that
+ * reach `minContrast` against `background`
+ * @param {Object[]} colors - Colors to filter
+ * @param {Object} [filters]
+ * @param {string} [filters.query] - Name substring
+ * @param {number} [filters.minContrast] - Minimum WCAG contrast ratio (0 = any)
+ * @param {string} [filters.background] - Hex background for the contrast test
+ * @returns {Object[]} Matching colors, in the same order
+ */
+export function filterColors(colors, { query = '', minContrast = 0, background = '#FFFFFF' } = {}) {
+  const text = query.trim().toLowerCase();
+  const backgroundRgb = minContrast > 0 ? hexToRgb(background) : null;
+
+  if (!text && !backgroundRgb) return colors;
+
+  return colors.filter(color => (
+    (!text || (color.name || '').toLowerCase().includes(text)) &&
+    (!backgroundRgb || contrastRatio(color.rgb, backgroundRgb) >= minContrast)
+  ));
+}
@@ -0,0 +1,95 @@
+/**
+ * Color Vision Deficiency Simulation
+ *
+ * Approximates how colors look with dichromacy (full protanopia,
+ * deuteranopia or tritanopia, using the Machado et al. 2009 matrices in
+ * linear RGB) or achromatopsia (luminance only), and finds neighbouring
+ * swatches that become hard to tell apart under a simulation.
+ */
+
+import { srgbToLinear, linearToSrgb, rgbToLab, deltaE2000 } from './colorMath.js';
+
+export const CVD_MODES = [
+  { id: 'none', label: 'Normal vision' },
+  { id: 'protanopia', label: 'Protanopia' },
+  { id: 'deuteranopia', label: 'Deuteranopia' },
+  { id: 'tritanopia', label: 'Tritanopia' },
+  { id: 'achromatopsia', label: 'Achromatopsia' },
+];
+
+// ΔE00 below which two simulated colors count as hard to tell apart
+export const CONFUSION_THRESHOLD = 5;
+
+// Machado, Oliveira & Fernandes (2009), severity 1.0, applied to linear RGB
+const MATRICES = {
+  protanopia: [
+    [0.152286, 1.052583, -0.204868],
+    [0.114503, 0.786281, 0.099216],
+    [-0.003882, -0.048116, 1.051998],
+  ],
+  deuteranopia: [
+    [0.367322, 0.860646, -0.227968],
+    [0.280085, 0.672501, 0.047413],
+    [-0.011820, 0.042940, 0.968881],
+  ],
+  tritanopia: [
+    [1.255528, -0.076749, -0.178779],
+    [-0.078411, 0.930809, 0.147602],
+    [0.004733, 0.691367, 0.303900],
+  ],
+};
+
+/**
+ * Simulates how a color appears under a color-vision deficiency
+ * @param {{red: number, green: number, blue: number}} rgb - RGB channels
+ * @param {string} mode - One of CVD_MODES' ids
+ * @returns {{red: number, green: number, blue: number}} Simulated RGB ('none' returns the input)
+ */
+export function simulateColorVision(rgb, mode) {
+  if (!mode || mode === 'none') return rgb;
+
+  const linear = [srgbToLinear(rgb.red), srgbToLinear(rgb.green), srgbToLinear(rgb.blue)];
+
+  if (mode === 'achromatopsia') {
+    const gray = linearToSrgb(0.2126 * linear[0] + 0.7152 * linear[1] + 0.0722 * linear[2]);
+    return { red: gray, green: gray, blue: gray };
+  }
+
+  const matrix = MATRICES[mode];
+  if (!matrix) {
+    throw new Error(`Unknown color vision mode: ${mode}`);
+  }
+
+  const [red, green, blue] = matrix.map(row => linearToSrgb(
+    row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2]
+  ));
+  return { red, green, blue };
+}
+
+/**
+ * Finds neighbouring colors (in display order) that are distinguishable
+ * with normal vision but fall below `threshold` ΔE00 under the simulation
+ * @param {Object[]} colors - Colors in grid order
+ * @param {string} mode - One of CVD_MODES' ids
+ * @param {number} [threshold] - ΔE00 cut-off (default CONFUSION_THRESHOLD)
+ * @returns {{first: Object, second: Object, deltaE: number}[]} Confusable neighbours
+ */
+export function findConfusableNeighbours(colors, mode, threshold = CONFUSION_THRESHOLD) {
+  if (!mode || mode === 'none') return [];
+
+  const pairs = [];
+  for (let i = 0; i + 1 < colors.length; i++) {
+    const first = colors[i];
+    const second = colors[i + 1];
+    if (deltaE2000(rgbToLab(first.rgb), rgbToLab(second.rgb)) < threshold) continue;
+
+    const deltaE = deltaE2000(
+      rgbToLab(simulateColorVision(first.rgb, mode)),
+      rgbToLab(simulateColorVision(second.rgb, mode))
+    );
+    if (deltaE < threshold) {
+      pairs.push({ first, second, deltaE });
+    }
+  }
+  return pairs;
+}
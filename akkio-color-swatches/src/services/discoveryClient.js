@@ -0,0 +1,267 @@
+/**
+ * Discovery Client
+ *
+ * Main-thread entry point for discovery. Mirrors the colorApi.js discovery
+ * functions, but runs them in discoveryWorker.js: progress streams back
+ * through the same `onProgress` callbacks, and aborting the signal cancels
+ * the task inside the worker. Where workers aren't available the tasks run
+ * on the main thread instead, with the same results.
+ *
+ * Single lookups go through here too (fetchColorData, fetchMultipleColors),
+ * so every provider request shares the worker's one request scheduler:
+ * its concurrency and rate caps, request sharing and 429 pauses.
+ *
+ * The worker doesn't fetch the name atlas or replay fixture itself: it gets
+ * the main thread's copies (see shareColorServiceData).
+ */
+
+import { getFixtureRecorder } from './colorApi.js';
+import {
+  MESSAGE,
+  deserializeError,
+  findMessageProblem,
+  progressStream,
+  serializeError,
+  unpackProgress,
+} from './discoveryProtocol.js';
+import { runTask } from './discoveryTasks.js';
+
+let worker = null;
+let workerFailed = false;
+let nextId = 1;
+let serviceData = { atlas: null, fixture: null };
+const pending = new Map(); // request id -> { resolve, reject, onProgress, streams }
+
+/**
+ * Hands the worker the files the main thread loaded, so they're fetched
+ * once and relative URLs resolve against the page
+ * @param {Object} data - From loadColorServiceData in colorServices.js
+ */
+export function shareColorServiceData(data) {
+  serviceData = data;
+}
+
+/**
+ * Sends the shared files once they've loaded (or failed to)
+ */
+function configureWorker(target) {
+  const settled = promise => Promise.resolve(promise).then(
+    value => ({ value }),
+    error => ({ error: serializeError(error) })
+  );
+  Promise.all([settled(serviceData.atlas), settled(serviceData.fixture)]).then(([atlas, fixture]) => {
+    target.postMessage({ type: MESSAGE.CONFIGURE, atlas, fixture });
+  });
+}
+
+/**
+ * Rejects every waiting task, e.g. when the worker itself fails
+ */
+function rejectAll(error) {
+  pending.forEach(({ reject }) => reject(error));
+  pending.clear();
+}
+
+function handleMessage({ data }) {
+  const problem = findMessageProblem(data, 'client');
+  if (problem) {
+    // Fail the request it was meant for rather than leave it waiting
+    console.error('❌ Discovery client: rejected message:', problem);
+    const request = pending.get(data?.id);
+    if (request) {
+      pending.delete(data.id);
+      request.reject(new Error(`Discovery worker sent a bad message: ${problem}`));
+    }
+    return;
+  }
+
+  if (data.type === MESSAGE.RECORD) {
+    getFixtureRecorder()?.record(data.hue, data.saturation, data.lightness, data.color);
+    return;
+  }
+
+  const request = pending.get(data.id);
+  if (!request) return; // cancelled
+
+  switch (data.type) {
+    case MESSAGE.PROGRESS: {
+      const stream = progressStream(data.args);
+      if (!request.streams.has(stream)) request.streams.set(stream, new Map());
+      request.onProgress?.(...unpackProgress(data.args, request.streams.get(stream)));
+      break;
+    }
+    case MESSAGE.RESULT:
+      pending.delete(data.id);
+      request.resolve(data.result);
+      break;
+    case MESSAGE.ERROR:
+      pending.delete(data.id);
+      request.reject(deserializeError(data.error));
+      break;
+  }
+}
+
+/**
+ * Starts the worker on first use
+ * @returns {Worker|null} The worker, or null to run on the main thread
+ */
+function getWorker() {
+  if (worker || workerFailed) return worker;
+  if (typeof Worker === 'undefined') {
+    workerFailed = true;
+    return null;
+  }
+
+  worker = new Worker(new URL('./discoveryWorker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = handleMessage;
+  configureWorker(worker);
+  worker.onerror = (event) => {
+    // A worker that can't start fails every task; later ones run in-thread
+    console.error('❌ Discovery worker failed, running discovery on the main thread:', event.message);
+    event.preventDefault();
+    worker.terminate();
+    worker = null;
+    workerFailed = true;
+    rejectAll(new Error(`Discovery worker failed: ${event.message || 'could not start'}`));
+  };
+  return worker;
+}
+
+/**
+ * Runs a task in the worker (or in-thread without one)
+ * @param {string} task - Task name from discoveryProtocol.js
+ * @param {Array} args - Task arguments
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal] - Cancels the task, in the worker too
+ * @param {Function} [options.onProgress] - Receives the task's progress calls
+ * @returns {Promise<*>} The task's result
+ */
+function runInWorker(task, args, { signal = null, onProgress = null } = {}) {
+  if (signal?.aborted) {
+    return Promise.reject(new DOMException('The request was aborted', 'AbortError'));
+  }
+
+  const target = getWorker();
+  if (!target) {
+    return runTask(task, args, { signal, onProgress });
+  }
+
+  const id = nextId++;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      if (!pending.delete(id)) return;
+      target.postMessage({ type: MESSAGE.CANCEL, id });
+      reject(new DOMException('The request was aborted', 'AbortError'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const settle = callback => value => {
+      signal?.removeEventListener('abort', onAbort);
+      callback(value);
+    };
+    pending.set(id, { resolve: settle(resolve), reject: settle(reject), onProgress, streams: new Map() });
+    target.postMessage({ type: MESSAGE.RUN, id, task, args });
+  });
+}
+
+/**
+ * Looks up colors at one S/L; see fetchMultipleColors in colorApi.js
+ * @param {number[]} hues - Hue values
+ * @param {number} saturation - Saturation percentage
+ * @param {number} lightness - Lightness percentage
+ * @param {AbortSignal} [signal] - Abort signal for cancellation
+ * @returns {Promise<Object[]>} Color data, in the order of `hues`
+ */
+export function fetchMultipleColors(hues, saturation, lightness, signal = null) {
+  return runInWorker('lookup', [hues, saturation, lightness], { signal });
+}
+
+/**
+ * Looks up one color; see fetchColorData in colorApi.js
+ * @param {number} hue - Hue (0-359)
+ * @param {number} saturation - Saturation percentage
+ * @param {number} lightness - Lightness percentage
+ * @param {AbortSignal} [signal] - Abort signal for cancellation
+ * @returns {Promise<Object>} Color data including RGB values and color name
+ */
+export async function fetchColorData(hue, saturation, lightness, signal = null) {
+  const [color] = await fetchMultipleColors([hue], saturation, lightness, signal);
+  return color;
+}
+
+/**
+ * Adaptive distinct-color discovery; see discoverDistinctColors in colorApi.js
+ * @param {number} saturation - Saturation percentage
+ * @param {number} lightness - Lightness percentage
+ * @param {Object} [options] - `{ signal, onProgress, resolution }`
+ * @returns {Promise<{colors: Object[], stats: Object}>}
+ */
+export function discoverDistinctColors(saturation, lightness, { signal, onProgress, resolution } = {}) {
+  return runInWorker('discover', [saturation, lightness, { resolution }], { signal, onProgress });
+}
+
+/**
+ * Discovery along a color-model slice; see discoverSliceColors in colorApi.js
+ * @param {Object} slice - `{ model, sweep, fixed }` (see colorModels.js)
+ * @param {Object} [options] - `{ signal, onProgress, resolution }`
+ * @returns {Promise<{colors: Object[], stats: Object, sampled: Array}>}
+ */
+export function discoverSliceColors(slice, { signal, onProgress, resolution } = {}) {
+  return runInWorker('discoverSlice', [slice, { resolution }], { signal, onProgress });
+}
+
+/**
+ * Retries a slice's failed hues; see retrySliceColors in colorApi.js
+ * @param {Object} slice - `{ model, sweep, fixed }` (see colorModels.js)
+ * @param {Object} previous - The discoverSliceColors (or earlier retry) result
+ * @param {Object} [options] - `{ signal, onProgress }`
+ * @returns {Promise<{colors: Object[], stats: Object, sampled: Array}>}
+ */
+export function retrySliceColors(slice, previous, { signal, onProgress } = {}) {
+  return runInWorker('retrySlice', [slice, previous], { signal, onProgress });
+}
+
+/**
+ * Two-slice comparison; see compareDistinctColors in colorApi.js
+ * @param {{saturation: number, lightness: number}} left - First slice
+ * @param {{saturation: number, lightness: number}} right - Second slice
+ * @param {Object} [options] - `{ signal, onProgress }`, progress as `(side, progress)`
+ * @returns {Promise<Object>} `{ left, right, onlyLeft, onlyRight, shared }`
+ */
+export function compareDistinctColors(left, right, { signal, onProgress } = {}) {
+  return runInWorker('compare', [left, right], { signal, onProgress });
+}
+
+/**
+ * Adaptive vs exhaustive audit; see auditDistinctColors in colorApi.js
+ * @param {number} saturation - Saturation percentage
+ * @param {number} lightness - Lightness percentage
+ * @param {Object} [options] - `{ signal, resolution }`
+ * @returns {Promise<Object>} Audit report
+ */
+export function auditDistinctColors(saturation, lightness, { signal, resolution } = {}) {
+  return runInWorker('audit', [saturation, lightness, { resolution }], { signal });
+}
+
+/**
+ * S×L name-region map at one hue; see fetchNameRegionMap in nameRegionMap.js
+ * @param {number} hue - Fixed hue (0-359)
+ * @param {Object} [options] - `{ signal, onProgress, step }`
+ * @returns {Promise<Object>} `{ hue, names, colorsByName, samples, failedPoints }`
+ */
+export function fetchNameRegionMap(hue, { signal, onProgress, step } = {}) {
+  return runInWorker('nameMap', [hue, { step }], { signal, onProgress });
+}
+
+/**
+ * Neighbours that blur together under a color-vision simulation; see
+ * findConfusableNeighbours in colorVision.js
+ * @param {Object[]} colors - Colors in grid order
+ * @param {string} mode - One of CVD_MODES' ids
+ * @param {Object} [options] - `{ signal }`
+ * @returns {Promise<{first: Object, second: Object, deltaE: number}[]>}
+ */
+export function findConfusableNeighbours(colors, mode, { signal } = {}) {
+  if (!mode || mode === 'none') return Promise.resolve([]);
+  return runInWorker('confusable', [colors, mode], { signal });
+}
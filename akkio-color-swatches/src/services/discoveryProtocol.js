@@ -0,0 +1,170 @@
+/**
+ * Discovery Worker Protocol
+ *
+ * Messages exchanged between discoveryClient.js (main thread) and
+ * discoveryWorker.js. Every task runs under a request id chosen by the
+ * client; progress and the outcome come back tagged with it.
+ *
+ *   client → worker   configure  the main thread's atlas and fixture
+ *                     run      start a task
+ *                     cancel   abort a running task
+ *   worker → client   progress arguments of one onProgress call
+ *                     result   the task's return value
+ *                     error    the task's error, as plain data
+ *                     record   a lookup to add to the fixture recording
+ *
+ * Payloads are structured-cloned, so results arrive as copies: compare
+ * colors by name rather than identity.
+ *
+ * Both ends check every message they receive with findMessageProblem and
+ * fail the request it belongs to when it doesn't match its shape.
+ *
+ * Progress is coalesced in the worker to about one message per frame per
+ * stream (a stream is a request plus any leading string argument, such as
+ * compare's side). A progress object's `colors` list is sent as changes
+ * against the stream's previous message (see packProgress) and rebuilt on
+ * the main thread (see unpackProgress).
+ */
+
+export const MESSAGE = {
+  CONFIGURE: 'configure',
+  RUN: 'run',
+  CANCEL: 'cancel',
+  PROGRESS: 'progress',
+  RESULT: 'result',
+  ERROR: 'error',
+  RECORD: 'record',
+};
+
+/**
+ * @typedef {'lookup'|'discover'|'discoverSlice'|'retrySlice'|'compare'|'audit'|'confusable'|'nameMap'} TaskName
+ *   lookup:        [hues, saturation, lightness] → fetchMultipleColors()
+ *   discover:      [saturation, lightness, { resolution }] → discoverDistinctColors()
+ *   discoverSlice: [slice, { resolution }] → discoverSliceColors()
+ *   retrySlice:    [slice, previous] → retrySliceColors()
+ *   compare:       [left, right] → compareDistinctColors()
+ *   audit:         [saturation, lightness, { resolution }] → auditDistinctColors()
+ *   confusable:    [colors, mode] → findConfusableNeighbours()
+ *   nameMap:       [hue, { step }] → fetchNameRegionMap()
+ */
+
+/**
+ * @typedef {{ type: 'configure', atlas: Settled, fixture: Settled }} ConfigureMessage
+ * @typedef {{ value: * } | { error: SerializedError }} Settled
+ *   How a main-thread load ended
+ * @typedef {{ type: 'run', id: number, task: TaskName, args: Array }} RunMessage
+ * @typedef {{ type: 'cancel', id: number }} CancelMessage
+ * @typedef {{ type: 'progress', id: number, args: Array }} ProgressMessage
+ *   Packed args (see packProgress)
+ * @typedef {{ type: 'result', id: number, result: * }} ResultMessage
+ * @typedef {{ type: 'error', id: number, error: SerializedError }} ErrorMessage
+ * @typedef {{ type: 'record', hue: number, saturation: number, lightness: number, color: Object }} RecordMessage
+ * @typedef {{ name: string, message: string, status?: number }} SerializedError
+ *   Also carries the error's own properties (`status`, `retryAfter`, `fixtureMiss`)
+ */
+
+const isId = id => Number.isInteger(id) && id > 0;
+const isObject = value => typeof value === 'object' && value !== null;
+const isSettled = value => isObject(value) && ('value' in value || isObject(value.error));
+
+// Shape checks for each message type, by the end that receives it
+const MESSAGE_SHAPES = {
+  worker: {
+    [MESSAGE.CONFIGURE]: data => isSettled(data.atlas) && isSettled(data.fixture),
+    [MESSAGE.RUN]: data => isId(data.id) && typeof data.task === 'string' && Array.isArray(data.args),
+    [MESSAGE.CANCEL]: data => isId(data.id),
+  },
+  client: {
+    [MESSAGE.PROGRESS]: data => isId(data.id) && Array.isArray(data.args),
+    [MESSAGE.RESULT]: data => isId(data.id) && 'result' in data,
+    [MESSAGE.ERROR]: data => isId(data.id) && isObject(data.error) && typeof data.error.message === 'string',
+    [MESSAGE.RECORD]: data => [data.hue, data.saturation, data.lightness].every(Number.isFinite)
+      && isObject(data.color) && typeof data.color.name === 'string',
+  },
+};
+
+/**
+ * Checks a received message against the protocol
+ * @param {*} data - The message
+ * @param {'worker'|'client'} receiver - The end that received it
+ * @returns {string|null} What's wrong with it, or null if it's well-formed
+ */
+export function findMessageProblem(data, receiver) {
+  if (!isObject(data)) return 'message is not an object';
+  const isValid = MESSAGE_SHAPES[receiver][data.type];
+  if (!isValid) return `unknown message type ${JSON.stringify(data.type)}`;
+  return isValid(data) ? null : `malformed ${data.type} message`;
+}
+
+/**
+ * The stream a progress call belongs to within its request
+ * @param {Array} args - onProgress arguments
+ * @returns {string}
+ */
+export function progressStream(args) {
+  return args.filter(arg => typeof arg === 'string').join('|');
+}
+
+/**
+ * Replaces the `colors` list of any progress object in `args` with the
+ * changes since the stream's last packed call: `{ names, changed }`, every
+ * name in order plus the colors that are new or differ.
+ * @param {Array} args - onProgress arguments
+ * @param {Map<string, string>} sent - The stream's state, name -> color as
+ *   last sent; updated in place
+ * @returns {Array} Packed arguments
+ */
+export function packProgress(args, sent) {
+  return args.map(arg => {
+    if (!Array.isArray(arg?.colors)) return arg;
+    const changed = [];
+    const names = arg.colors.map(color => {
+      const snapshot = JSON.stringify(color);
+      if (sent.get(color.name) !== snapshot) {
+        sent.set(color.name, snapshot);
+        changed.push(color);
+      }
+      return color.name;
+    });
+    const packed = { ...arg, colorChanges: { names, changed } };
+    delete packed.colors;
+    return packed;
+  });
+}
+
+/**
+ * Rebuilds progress arguments packed by packProgress
+ * @param {Array} args - Packed arguments
+ * @param {Map<string, Object>} known - The stream's state, name -> color;
+ *   updated in place
+ * @returns {Array} The original onProgress arguments
+ */
+export function unpackProgress(args, known) {
+  return args.map(arg => {
+    if (!arg?.colorChanges) return arg;
+    const { colorChanges: { names, changed }, ...rest } = arg;
+    changed.forEach(color => known.set(color.name, color));
+    return { ...rest, colors: names.map(name => known.get(name)) };
+  });
+}
+
+/**
+ * @param {Error} error
+ * @returns {SerializedError} Plain copy that survives postMessage
+ */
+export function serializeError(error) {
+  return { ...error, name: error?.name ?? 'Error', message: error?.message ?? String(error) };
+}
+
+/**
+ * @param {SerializedError} data
+ * @returns {Error} An Error (or AbortError DOMException) like the original
+ */
+export function deserializeError({ name, message, ...properties }) {
+  if (name === 'AbortError') {
+    return new DOMException(message, 'AbortError');
+  }
+  const error = Object.assign(new Error(message), properties);
+  error.name = name;
+  return error;
+}
@@ -0,0 +1,60 @@
+/**
+ * Discovery Tasks
+ *
+ * The work discoveryClient.js can hand off, by protocol task name (see
+ * discoveryProtocol.js). Runs inside the discovery worker, or on the main
+ * thread where workers aren't available.
+ */
+
+import {
+  auditDistinctColors,
+  compareDistinctColors,
+  discoverDistinctColors,
+  discoverSliceColors,
+  fetchMultipleColors,
+  retrySliceColors,
+} from './colorApi.js';
+import { findConfusableNeighbours } from './colorVision.js';
+import { fetchNameRegionMap } from './nameRegionMap.js';
+
+const TASKS = {
+  lookup: ([hues, saturation, lightness], { signal }) =>
+    fetchMultipleColors(hues, saturation, lightness, signal),
+
+  discover: ([saturation, lightness, { resolution } = {}], { signal, onProgress }) =>
+    discoverDistinctColors(saturation, lightness, { signal, onProgress, resolution }),
+
+  discoverSlice: ([slice, { resolution } = {}], { signal, onProgress }) =>
+    discoverSliceColors(slice, { signal, onProgress, resolution }),
+
+  retrySlice: ([slice, previous], { signal, onProgress }) =>
+    retrySliceColors(slice, previous, { signal, onProgress }),
+
+  compare: ([left, right], { signal, onProgress }) =>
+    compareDistinctColors(left, right, { signal, onProgress }),
+
+  audit: ([saturation, lightness, { resolution } = {}], { signal }) =>
+    auditDistinctColors(saturation, lightness, { signal, resolution }),
+
+  confusable: async ([colors, mode]) => findConfusableNeighbours(colors, mode),
+
+  nameMap: ([hue, { step } = {}], { signal, onProgress }) =>
+    fetchNameRegionMap(hue, { signal, onProgress, step }),
+};
+
+/**
+ * Runs a task
+ * @param {string} task - Task name
+ * @param {Array} args - Task arguments, as listed in discoveryProtocol.js
+ * @param {Object} context
+ * @param {AbortSignal} context.signal - Cancels the task
+ * @param {Function} [context.onProgress] - Receives the task's progress calls
+ * @returns {Promise<*>} The task's result
+ */
+export async function runTask(task, args, { signal, onProgress = null }) {
+  const run = TASKS[task];
+  if (!run) {
+    throw new Error(`Unknown discovery task: ${task}`);
+  }
+  return run(args, { signal, onProgress });
+}
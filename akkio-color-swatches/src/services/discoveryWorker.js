@@ -0,0 +1,145 @@
+/**
+ * Discovery Worker
+ *
+ * Runs discovery and the color math behind it off the main thread, so
+ * sampling, deduplication and nearest-name lookups never compete with
+ * React rendering. Speaks the protocol in discoveryProtocol.js; started by
+ * discoveryClient.js.
+ *
+ * Progress is coalesced to about one message per frame and sends only
+ * changed colors (see discoveryProtocol.js), so a long scan doesn't flood
+ * the main thread with full result lists.
+ *
+ * The worker has its own colorApi state, configured from the same
+ * environment as the main thread, with the atlas and replay fixture the
+ * main thread loaded (they arrive in a configure message; lookups wait for
+ * it). Lookups it records are forwarded to the main thread's recorder, and
+ * its cache writes reach the main thread's cache through persistentCache.js.
+ */
+
+import { configureColorServices } from './colorServices.js';
+import {
+  MESSAGE,
+  deserializeError,
+  findMessageProblem,
+  packProgress,
+  progressStream,
+  serializeError,
+} from './discoveryProtocol.js';
+import { runTask } from './discoveryTasks.js';
+
+/**
+ * A promise settled later by a configure message
+ */
+function createShared() {
+  let settle;
+  const promise = new Promise((resolve, reject) => {
+    settle = ({ value, error }) => (error ? reject(deserializeError(error)) : resolve(value));
+  });
+  // Each consumer reports a failed load itself
+  promise.catch(() => {});
+  return { promise, settle };
+}
+
+const sharedAtlas = createShared();
+const sharedFixture = createShared();
+
+configureColorServices(import.meta.env, {
+  data: { atlas: sharedAtlas.promise, fixture: sharedFixture.promise },
+  recorder: {
+    record(hue, saturation, lightness, { name, rgb, hex, hsl }) {
+      self.postMessage({ type: MESSAGE.RECORD, hue, saturation, lightness, color: { name, rgb, hex, hsl } });
+    },
+  },
+});
+
+const PROGRESS_INTERVAL = 16; // ms, about one frame
+
+const running = new Map(); // request id -> AbortController
+
+/**
+ * Coalesces one request's progress calls: only the latest call per stream
+ * is posted, at most once per PROGRESS_INTERVAL
+ */
+function createProgressSender(id) {
+  const latest = new Map(); // stream -> args
+  const sent = new Map(); // stream -> packProgress state
+  let timer = null;
+
+  function flush() {
+    timer = null;
+    latest.forEach((args, stream) => {
+      if (!sent.has(stream)) sent.set(stream, new Map());
+      self.postMessage({ type: MESSAGE.PROGRESS, id, args: packProgress(args, sent.get(stream)) });
+    });
+    latest.clear();
+  }
+
+  return {
+    push(args) {
+      latest.set(progressStream(args), args);
+      timer ??= setTimeout(flush, PROGRESS_INTERVAL);
+    },
+    // The result supersedes any progress still waiting
+    stop() {
+      clearTimeout(timer);
+      latest.clear();
+    },
+  };
+}
+
+async function run({ id, task, args }) {
+  const abortController = new AbortController();
+  running.set(id, abortController);
+  const progress = createProgressSender(id);
+
+  try {
+    const result = await runTask(task, args, {
+      signal: abortController.signal,
+      onProgress: (...progressArgs) => {
+        if (abortController.signal.aborted) return;
+        progress.push(progressArgs);
+      },
+    });
+    if (!abortController.signal.aborted) {
+      self.postMessage({ type: MESSAGE.RESULT, id, result });
+    }
+  } catch (error) {
+    // A cancelled task's client has already moved on
+    if (!abortController.signal.aborted) {
+      self.postMessage({ type: MESSAGE.ERROR, id, error: serializeError(error) });
+    }
+  } finally {
+    progress.stop();
+    running.delete(id);
+  }
+}
+
+self.onmessage = ({ data }) => {
+  const problem = findMessageProblem(data, 'worker');
+  if (problem) {
+    // Answer with an error where the client is waiting on the message's id
+    console.error('❌ Discovery worker: rejected message:', problem);
+    if (Number.isInteger(data?.id)) {
+      self.postMessage({
+        type: MESSAGE.ERROR,
+        id: data.id,
+        error: serializeError(new Error(`Discovery client sent a bad message: ${problem}`)),
+      });
+    }
+    return;
+  }
+
+  switch (data.type) {
+    case MESSAGE.CONFIGURE:
+      sharedAtlas.settle(data.atlas);
+      sharedFixture.settle(data.fixture);
+      break;
+    case MESSAGE.RUN:
+      run(data);
+      break;
+    case MESSAGE.CANCEL:
+      running.get(data.id)?.abort();
+      break;
+  }
+};
@@ -0,0 +1,25 @@
+/**
+ * File Downloads
+ *
+ * Saves files generated in the browser, such as palette exports and
+ * request fixtures, through a temporary object URL.
+ */
+
+/**
+ * Downloads `content` as a file
+ * @param {Object} file
+ * @param {string} file.content - File contents
+ * @param {string} file.filename - Suggested file name
+ * @param {string} file.mimeType - MIME type of the contents
+ */
+export function downloadFile({ content, filename, mimeType }) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke after the click has been handled, or some browsers cancel the download
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,206 @@
+/**
+ * Request Fixtures
+ *
+ * Record/replay for deterministic offline sessions. A recorder installed
+ * with configureFixtureRecorder() (colorApi.js) captures every lookup that
+ * goes through fetchColorData, cache hits included; the replay provider
+ * then serves a session from that fixture alone, with optional latency and
+ * injected errors to reproduce loading and failure states on demand.
+ *
+ * File format (JSON, version 1), one response per line in H/S/L order so
+ * re-recordings diff cleanly:
+ *
+ *   {
+ *     "format": "color-swatches-fixture",
+ *     "version": 1,
+ *     "provider": "thecolorapi",
+ *     "responses": {
+ *       "0,50,50": {"name":"Chestnut","rgb":{"red":191,"green":64,"blue":64},"hex":"#BF4040","hsl":"hsl(0, 50%, 50%)"},
+ *       ...
+ *     }
+ *   }
+ */
+
+import { wait } from './requestScheduler.js';
+
+export const FIXTURE_FORMAT = 'color-swatches-fixture';
+export const FIXTURE_VERSION = 1;
+
+/**
+ * @returns {string} Response key, the same "h,s,l" the cache uses
+ */
+export function fixtureKey(hue, saturation, lightness) {
+  return `${hue},${saturation},${lightness}`;
+}
+
+/**
+ * Creates a recorder for fetchColorData results
+ * @param {string} provider - Id of the provider being recorded
+ * @returns {Object} Recorder: `record()`, `size`, `subscribe()`, `toFixture()`
+ */
+export function createFixtureRecorder(provider) {
+  const responses = new Map();
+  const listeners = new Set();
+
+  return {
+    provider,
+
+    /**
+     * Stores one lookup result (the latest wins)
+     */
+    record(hue, saturation, lightness, { name, rgb, hex, hsl }) {
+      responses.set(fixtureKey(hue, saturation, lightness), { name, rgb, hex, hsl });
+      listeners.forEach(listener => listener(responses.size));
+    },
+
+    get size() {
+      return responses.size;
+    },
+
+    /**
+     * Calls `listener(size)` after every recorded response
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * @returns {Object} Everything recorded so far, as a fixture
+     */
+    toFixture() {
+      return {
+        format: FIXTURE_FORMAT,
+        version: FIXTURE_VERSION,
+        provider,
+        responses: Object.fromEntries(responses),
+      };
+    },
+  };
+}
+
+/**
+ * Checks a parsed fixture file, rejecting other formats and versions
+ * @param {Object} data - Parsed JSON
+ * @returns {Object} The fixture
+ */
+export function validateFixture(data) {
+  if (data?.format !== FIXTURE_FORMAT) {
+    throw new Error('Not a request fixture file');
+  }
+  if (data.version !== FIXTURE_VERSION) {
+    throw new Error(`Unsupported fixture version ${data.version} (expected ${FIXTURE_VERSION})`);
+  }
+  if (typeof data.responses !== 'object' || data.responses === null) {
+    throw new Error('Malformed request fixture');
+  }
+  return data;
+}
+
+/**
+ * Writes a fixture as stable, line-per-response JSON
+ * @param {Object} fixture - Fixture
+ * @returns {string} File contents
+ */
+export function serializeFixture(fixture) {
+  const keys = Object.keys(fixture.responses).sort((a, b) => {
+    const [ha, sa, la] = a.split(',').map(Number);
+    const [hb, sb, lb] = b.split(',').map(Number);
+    return ha - hb || sa - sb || la - lb;
+  });
+  const responses = keys.map(key => `    ${JSON.stringify(key)}: ${JSON.stringify(fixture.responses[key])}`);
+
+  return [
+    '{',
+    `  "format": ${JSON.stringify(FIXTURE_FORMAT)},`,
+    `  "version": ${FIXTURE_VERSION},`,
+    `  "provider": ${JSON.stringify(fixture.provider)},`,
+    responses.length > 0 ? `  "responses": {\n${responses.join(',\n')}\n  }` : '  "responses": {}',
+    '}',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Fetches and validates a fixture file
+ * @param {string} url - Fixture URL
+ * @returns {Promise<Object>} The fixture
+ */
+export async function loadFixture(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Fixture request failed: HTTP ${response.status}`);
+  }
+  return validateFixture(await response.json());
+}
+
+/**
+ * Deterministic 0-1 value for a string (FNV-1a with a murmur3 finalizer,
+ * so keys differing in one character still land far apart), so injected
+ * errors hit the same lookups on every run
+ */
+function stableRandom(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return (hash >>> 0) / 0x100000000;
+}
+
+/**
+ * Provider that answers only from a fixture. A lookup the fixture doesn't
+ * have fails with a `fixtureMiss` error (never retried) and is logged, and
+ * discovery rejects instead of skipping it, so gaps in a recording are
+ * obvious. The provider is not cacheable: every lookup reaches it, so
+ * latency and errors show up on every run.
+ *
+ * @param {Object} options
+ * @param {Object|Promise<Object>} options.fixture - Fixture, or a promise of one
+ * @param {number} [options.latency] - Delay before each answer, in ms
+ * @param {number} [options.errorRate] - Share of attempts (0-1) that fail
+ * @param {number} [options.errorStatus] - HTTP status of injected failures
+ *   (500 and 429 are retried by fetchColorData, 404 fails at once)
+ * @returns {Object} Color provider
+ */
+export function createReplayProvider({ fixture, latency = 0, errorRate = 0, errorStatus = 500 }) {
+  const ready = Promise.resolve(fixture).then(validateFixture);
+  // A fixture that fails to load is reported by each lookup instead
+  ready.catch(() => {});
+  const attempts = new Map(); // key -> attempts so far, so retries can succeed
+
+  return {
+    id: 'replay',
+    cacheable: false,
+
+    async lookup(hue, saturation, lightness, signal) {
+      const { responses } = await ready;
+      const key = fixtureKey(hue, saturation, lightness);
+
+      if (latency > 0) {
+        await wait(latency, signal);
+      }
+
+      const attempt = (attempts.get(key) || 0) + 1;
+      attempts.set(key, attempt);
+      if (errorRate > 0 && stableRandom(`${key}#${attempt}`) < errorRate) {
+        throw Object.assign(new Error(`API error: ${errorStatus} (injected)`), { status: errorStatus });
+      }
+
+      const response = responses[key];
+      if (!response) {
+        console.error(`❌ Replay: hsl(${hue}, ${saturation}%, ${lightness}%) is not in the fixture`);
+        throw Object.assign(new Error(`Not in fixture: hsl(${hue}, ${saturation}%, ${lightness}%)`), {
+          fixtureMiss: true,
+        });
+      }
+      return response;
+    },
+  };
+}
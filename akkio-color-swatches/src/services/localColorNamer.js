@@ -0,0 +1,66 @@
+/**
+ * Local Color Naming Engine
+ *
+ * Names colors without any network access by finding the nearest entry in
+ * the bundled dataset using CIEDE2000 distance in CIELAB space. Results use
+ * the same shape as The Color API lookups so the rest of the app can't tell
+ * the two apart.
+ */
+
+import { NAMED_COLORS } from './namedColors.js';
+import { hexToRgb, hslToRgb, rgbToHex, rgbToLab, deltaE2000 } from './colorMath.js';
+
+// Reference Lab values are computed once, on first lookup
+let referenceColors = null;
+
+function getReferenceColors() {
+  if (!referenceColors) {
+    referenceColors = NAMED_COLORS.map(([name, hex]) => ({
+      name,
+      hex,
+      lab: rgbToLab(hexToRgb(hex)),
+    }));
+  }
+  return referenceColors;
+}
+
+/**
+ * Finds the perceptually closest named color
+ * @param {{red: number, green: number, blue: number}} rgb - Color to name
+ * @returns {{name: string, hex: string, distance: number}} Nearest match and its ΔE00
+ */
+export function findNearestNamedColor(rgb) {
+  const lab = rgbToLab(rgb);
+  let best = null;
+
+  for (const reference of getReferenceColors()) {
+    const distance = deltaE2000(lab, reference.lab);
+    if (!best || distance < best.distance) {
+      best = { name: reference.name, hex: reference.hex, distance };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Names an HSL color locally
+ * @param {number} hue - Hue value (0-360)
+ * @param {number} saturation - Saturation percentage (0-100)
+ * @param {number} lightness - Lightness percentage (0-100)
+ * @returns {Object} Color data in the same shape as fetchColorData
+ */
+export function nameColorLocally(hue, saturation, lightness) {
+  const rgb = hslToRgb(hue, saturation, lightness);
+  const nearest = findNearestNamedColor(rgb);
+
+  return {
+    hue,
+    saturation,
+    lightness,
+    name: nearest.name,
+    rgb,
+    hex: rgbToHex(rgb),
+    hsl: `hsl(${hue}, ${saturation}%, ${lightness}%)`,
+  };
+}
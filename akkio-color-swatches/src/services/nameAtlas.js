@@ -0,0 +1,116 @@
+/**
+ * Name Atlas
+ *
+ * A precomputed record of where names change around the hue circle, for a
+ * set of integer S/L points, so those points can be browsed without any
+ * provider requests. Built by `scripts/build-atlas.js`; loaded at runtime
+ * and consulted by colorApi.js before it samples the provider.
+ *
+ * File format (JSON, version 1):
+ *
+ *   {
+ *     "format": "color-swatches-name-atlas",
+ *     "version": 1,
+ *     "provider": "thecolorapi",
+ *     "resolution": 1,
+ *     "slices": {
+ *       "50,40": [[0, 12, "Red"], [13, 20, "Crimson"], [355, 359, "Red"]],
+ *       ...
+ *     }
+ *   }
+ *
+ * Each slice, keyed "saturation,lightness", lists the hue regions found by
+ * discovery at `resolution` degrees as [hueStart, hueEnd, name], sorted by
+ * hueStart; a region crossing 0° has hueStart > hueEnd. serializeAtlas()
+ * writes one slice per line in S/L order, so a re-crawl diffs line by line
+ * and shows exactly which slices the provider now names differently.
+ */
+
+export const ATLAS_FORMAT = 'color-swatches-name-atlas';
+export const ATLAS_VERSION = 1;
+
+/**
+ * @returns {string} Slice key for an S/L point
+ */
+export function atlasKey(saturation, lightness) {
+  return `${saturation},${lightness}`;
+}
+
+/**
+ * @param {string} provider - Id of the provider the names come from
+ * @param {number} resolution - Boundary resolution the slices were found at
+ * @returns {Object} An atlas with no slices
+ */
+export function createAtlas(provider, resolution) {
+  return { format: ATLAS_FORMAT, version: ATLAS_VERSION, provider, resolution, slices: {} };
+}
+
+/**
+ * Turns discovered colors into a slice: every hue region of every name,
+ * sorted by where it starts
+ * @param {Object[]} colors - Colors from discoverDistinctColors, with `hueRegions`
+ * @returns {Array<[number, number, string]>} Slice regions
+ */
+export function sliceFromColors(colors) {
+  return colors
+    .flatMap(color => color.hueRegions.map(region => [region.hueStart, region.hueEnd, color.name]))
+    .sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Checks a parsed atlas file, rejecting other formats and versions
+ * @param {Object} data - Parsed JSON
+ * @returns {Object} The atlas
+ */
+export function validateAtlas(data) {
+  if (data?.format !== ATLAS_FORMAT) {
+    throw new Error('Not a name atlas file');
+  }
+  if (data.version !== ATLAS_VERSION) {
+    throw new Error(`Unsupported name atlas version ${data.version} (expected ${ATLAS_VERSION})`);
+  }
+  if (typeof data.provider !== 'string' || !(data.resolution > 0) || typeof data.slices !== 'object') {
+    throw new Error('Malformed name atlas');
+  }
+  return data;
+}
+
+/**
+ * Writes an atlas as stable, line-per-slice JSON
+ * @param {Object} atlas - Atlas
+ * @returns {string} File contents
+ */
+export function serializeAtlas(atlas) {
+  const keys = Object.keys(atlas.slices).sort((a, b) => {
+    const [sa, la] = a.split(',').map(Number);
+    const [sb, lb] = b.split(',').map(Number);
+    return sa - sb || la - lb;
+  });
+  const slices = keys.map(key => `    ${JSON.stringify(key)}: ${JSON.stringify(atlas.slices[key])}`);
+
+  return [
+    '{',
+    `  "format": ${JSON.stringify(ATLAS_FORMAT)},`,
+    `  "version": ${ATLAS_VERSION},`,
+    `  "provider": ${JSON.stringify(atlas.provider)},`,
+    `  "resolution": ${atlas.resolution},`,
+    slices.length > 0 ? `  "slices": {\n${slices.join(',\n')}\n  }` : '  "slices": {}',
+    '}',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Fetches and validates an atlas file
+ * @param {string} url - Atlas URL
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+ * @returns {Promise<Object>} The atlas
+ */
+export async function loadAtlas(url, { signal } = {}) {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`Name atlas request failed: HTTP ${response.status}`);
+  }
+  return validateAtlas(await response.json());
+}
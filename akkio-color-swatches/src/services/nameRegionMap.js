@@ -0,0 +1,151 @@
+/**
+ * Name Region Map
+ *
+ * Builds a saturation × lightness map of color names for one fixed hue.
+ * A full 101×101 map would cost 10,201 lookups, so the plane is sampled
+ * adaptively: a coarse lattice first, then only cells whose corners
+ * disagree on a name are subdivided. Cells whose four corners share a name
+ * are assumed to be uniform.
+ *
+ * Points that still fail after retries are left unnamed and reported, like
+ * the hues a grid discovery skips; cells are judged by their other corners.
+ */
+
+import { fetchColorData, getLogger, nextRequestPriority } from './colorApi.js';
+
+export const MAP_SIZE = 101; // 0-100 inclusive on both axes
+
+/**
+ * Samples the S×L plane at a fixed hue and labels every integer point
+ *
+ * @param {number} hue - Fixed hue (0-359)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+ * @param {number} [options.step] - Coarse lattice spacing (default 10)
+ * @param {Function} [options.onProgress] - Called with `{ samples }` after each level
+ * @returns {Promise<Object>} `{ hue, names, colorsByName, samples, failedPoints }`
+ *   where `names[s * MAP_SIZE + l]` is the name at that point (null where it
+ *   couldn't be resolved), `colorsByName` maps each name to the first color
+ *   sampled with it and `failedPoints` lists the `{ saturation, lightness }`
+ *   lookups that failed. Only rejects if no point resolved.
+ */
+export async function fetchNameRegionMap(hue, { signal = null, step = 10, onProgress } = {}) {
+  const names = new Array(MAP_SIZE * MAP_SIZE).fill(null);
+  const colorsByName = new Map();
+  const sampled = new Set();
+  const failures = new Map(); // index -> error
+  const indexOf = (s, l) => s * MAP_SIZE + l;
+  const priority = nextRequestPriority();
+
+  async function sample(points) {
+    const pending = points.filter(([s, l]) => {
+      const index = indexOf(s, l);
+      if (sampled.has(index)) return false;
+      sampled.add(index);
+      return true;
+    });
+
+    // The request scheduler bounds how many of these run at once
+    await Promise.all(pending.map(async ([s, l]) => {
+      try {
+        const color = await fetchColorData(hue, s, l, signal, { priority });
+        const name = color.name || 'Unnamed';
+        names[indexOf(s, l)] = name;
+        if (!colorsByName.has(name)) {
+          colorsByName.set(name, color);
+        }
+      } catch (error) {
+        if (error.name === 'AbortError' || error.fixtureMiss) throw error;
+        failures.set(indexOf(s, l), error);
+      }
+    }));
+  }
+
+  // Coarse lattice, always including the 100 edge
+  const axis = [];
+  for (let v = 0; v < MAP_SIZE - 1; v += step) axis.push(v);
+  axis.push(MAP_SIZE - 1);
+
+  const lattice = [];
+  axis.forEach(s => axis.forEach(l => lattice.push([s, l])));
+  await sample(lattice);
+  onProgress?.({ samples: sampled.size });
+
+  let cells = [];
+  for (let i = 0; i < axis.length - 1; i++) {
+    for (let j = 0; j < axis.length - 1; j++) {
+      cells.push({ s0: axis[i], s1: axis[i + 1], l0: axis[j], l1: axis[j + 1] });
+    }
+  }
+
+  // Subdivide level by level so each level's new points go out as one batch
+  while (cells.length > 0) {
+    const uniform = [];
+    const split = [];
+
+    for (const cell of cells) {
+      // Failed corners are left out, so a gap doesn't force a subdivision
+      const corners = [
+        names[indexOf(cell.s0, cell.l0)],
+        names[indexOf(cell.s1, cell.l0)],
+        names[indexOf(cell.s0, cell.l1)],
+        names[indexOf(cell.s1, cell.l1)],
+      ].filter(name => name !== null);
+      if (corners.length === 0) continue;
+      if (corners.every(name => name === corners[0])) {
+        uniform.push({ cell, name: corners[0] });
+      } else if (cell.s1 - cell.s0 > 1 || cell.l1 - cell.l0 > 1) {
+        split.push(cell);
+      }
+      // Mixed 1×1 cells are fully sampled already
+    }
+
+    // Fill uniform cells (only points not sampled directly)
+    for (const { cell, name } of uniform) {
+      for (let s = cell.s0; s <= cell.s1; s++) {
+        for (let l = cell.l0; l <= cell.l1; l++) {
+          if (names[indexOf(s, l)] === null && !failures.has(indexOf(s, l))) names[indexOf(s, l)] = name;
+        }
+      }
+    }
+
+    const nextCells = [];
+    const points = [];
+    for (const { s0, s1, l0, l1 } of split) {
+      const sm = Math.floor((s0 + s1) / 2);
+      const lm = Math.floor((l0 + l1) / 2);
+      const sCuts = sm > s0 ? [s0, sm, s1] : [s0, s1];
+      const lCuts = lm > l0 ? [l0, lm, l1] : [l0, l1];
+
+      sCuts.forEach(s => lCuts.forEach(l => points.push([s, l])));
+      for (let i = 0; i < sCuts.length - 1; i++) {
+        for (let j = 0; j < lCuts.length - 1; j++) {
+          nextCells.push({ s0: sCuts[i], s1: sCuts[i + 1], l0: lCuts[j], l1: lCuts[j + 1] });
+        }
+      }
+    }
+
+    if (points.length > 0) {
+      await sample(points);
+      onProgress?.({ samples: sampled.size });
+    }
+    cells = nextCells;
+  }
+
+  // Nothing resolved at all: report the failure rather than an empty map
+  if (colorsByName.size === 0 && failures.size > 0) {
+    throw failures.values().next().value;
+  }
+
+  const failedPoints = Array.from(failures.keys()).sort((a, b) => a - b).map(index => ({
+    saturation: Math.floor(index / MAP_SIZE),
+    lightness: index % MAP_SIZE,
+  }));
+
+  getLogger().log(`🗺️ Mapped hue ${hue}° with ${sampled.size} samples (instead of ${MAP_SIZE * MAP_SIZE})`);
+  if (failures.size > 0) {
+    getLogger().warn(`⚠️ ${failures.size} map points could not be resolved`);
+  }
+
+  return { hue, names, colorsByName, samples: sampled.size, failedPoints };
+}
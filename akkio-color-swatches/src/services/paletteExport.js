@@ -0,0 +1,165 @@
+/**
+ * Palette Export
+ *
+ * Turns discovered colors into files for design tools and token pipelines:
+ * CSS custom properties, SCSS variables, a Tailwind `theme.colors` object,
+ * W3C design-tokens JSON, GIMP palettes and Adobe Swatch Exchange.
+ *
+ * Color names become identifiers by slugifying them ("Dark Slate Gray" ->
+ * "dark-slate-gray"); names that collide get a numeric suffix so every
+ * identifier in one export is unique.
+ */
+
+/**
+ * Slugifies a color name into a lowercase, dash-separated identifier that
+ * is valid as a CSS custom property, SCSS variable and token key
+ * @param {string} name - Color name
+ * @returns {string} Slug (never empty, never starting with a digit)
+ */
+export function slugify(name) {
+  const slug = String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // strip accents
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  if (!slug) return 'color';
+  return /^[0-9]/.test(slug) ? `color-${slug}` : slug;
+}
+
+/**
+ * Pairs each color with a unique slug, in order
+ * @param {Object[]} colors - Colors with `name`
+ * @returns {{slug: string, color: Object}[]}
+ */
+export function assignSlugs(colors) {
+  const used = new Set();
+  return colors.map(color => {
+    const base = slugify(color.name);
+    let slug = base;
+    for (let n = 2; used.has(slug); n++) {
+      slug = `${base}-${n}`;
+    }
+    used.add(slug);
+    return { slug, color };
+  });
+}
+
+function hexOf(color) {
+  return color.hex.toUpperCase();
+}
+
+function toCss(entries) {
+  const lines = entries.map(({ slug, color }) => `  --${slug}: ${hexOf(color)};`);
+  return `:root {\n${lines.join('\n')}\n}\n`;
+}
+
+function toScss(entries) {
+  return entries.map(({ slug, color }) => `$${slug}: ${hexOf(color)};`).join('\n') + '\n';
+}
+
+function toTailwind(entries) {
+  const lines = entries.map(({ slug, color }) => `      '${slug}': '${hexOf(color)}',`);
+  return `/** @type {import('tailwindcss').Config} */\nexport default {\n  theme: {\n    colors: {\n${lines.join('\n')}\n    },\n  },\n};\n`;
+}
+
+function toDesignTokens(entries) {
+  const tokens = {};
+  for (const { slug, color } of entries) {
+    tokens[slug] = {
+      $type: 'color',
+      $value: hexOf(color),
+      $description: `${color.name} (${color.hsl})`,
+    };
+  }
+  return JSON.stringify(tokens, null, 2) + '\n';
+}
+
+function toGpl(entries, paletteName) {
+  const lines = entries.map(({ color }) => {
+    const { red, green, blue } = color.rgb;
+    const channels = [red, green, blue].map(v => String(v).padStart(3, ' ')).join(' ');
+    return `${channels}\t${color.name}`;
+  });
+  return `GIMP Palette\nName: ${paletteName}\nColumns: 8\n#\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Adobe Swatch Exchange: big-endian binary, one RGB color entry per swatch
+ * with its name as null-terminated UTF-16
+ */
+function toAse(entries) {
+  const blocks = entries.map(({ color }) => {
+    const name = `${color.name}\0`;
+    // name length + UTF-16 name + model + 3 floats + color type
+    const length = 2 + name.length * 2 + 4 + 12 + 2;
+    return { color, name, length };
+  });
+
+  const size = 12 + blocks.reduce((total, block) => total + 6 + block.length, 0);
+  const view = new DataView(new ArrayBuffer(size));
+  let offset = 0;
+
+  const writeAscii = text => {
+    for (const char of text) view.setUint8(offset++, char.charCodeAt(0));
+  };
+
+  writeAscii('ASEF');
+  view.setUint16(offset, 1); // version 1.0
+  view.setUint16(offset + 2, 0);
+  view.setUint32(offset + 4, blocks.length);
+  offset += 8;
+
+  for (const { color, name, length } of blocks) {
+    view.setUint16(offset, 0x0001); // color entry
+    view.setUint32(offset + 2, length);
+    view.setUint16(offset + 6, name.length);
+    offset += 8;
+    for (let i = 0; i < name.length; i++) {
+      view.setUint16(offset, name.charCodeAt(i));
+      offset += 2;
+    }
+    writeAscii('RGB ');
+    for (const channel of [color.rgb.red, color.rgb.green, color.rgb.blue]) {
+      view.setFloat32(offset, channel / 255);
+      offset += 4;
+    }
+    view.setUint16(offset, 2); // normal (not global or spot)
+    offset += 2;
+  }
+
+  return new Uint8Array(view.buffer);
+}
+
+export const EXPORT_FORMATS = [
+  { id: 'css', label: 'CSS custom properties', extension: 'css', mimeType: 'text/css', write: toCss },
+  { id: 'scss', label: 'SCSS variables', extension: 'scss', mimeType: 'text/x-scss', write: toScss },
+  { id: 'tailwind', label: 'Tailwind theme.colors', extension: 'js', mimeType: 'text/javascript', write: toTailwind },
+  { id: 'tokens', label: 'W3C design tokens', extension: 'tokens.json', mimeType: 'application/json', write: toDesignTokens },
+  { id: 'gpl', label: 'GIMP palette', extension: 'gpl', mimeType: 'text/plain', write: toGpl },
+  { id: 'ase', label: 'Adobe Swatch Exchange', extension: 'ase', mimeType: 'application/octet-stream', write: toAse },
+];
+
+/**
+ * Exports colors in one of EXPORT_FORMATS
+ * @param {Object[]} colors - Colors with `name`, `hex`, `hsl` and `rgb`
+ * @param {string} formatId - Format id, e.g. 'css' or 'ase'
+ * @param {Object} [options]
+ * @param {string} [options.name] - Palette name, used in file contents and the filename
+ * @returns {{content: string|Uint8Array, filename: string, mimeType: string}}
+ */
+export function exportPalette(colors, formatId, { name = 'Color Swatches' } = {}) {
+  const format = EXPORT_FORMATS.find(f => f.id === formatId);
+  if (!format) {
+    throw new Error(`Unknown export format: ${formatId}`);
+  }
+
+  const entries = assignSlugs(colors.filter(color => color && color.rgb && color.hex));
+
+  return {
+    content: format.write(entries, name),
+    filename: `${slugify(name)}.${format.extension}`,
+    mimeType: format.mimeType,
+  };
+}
@@ -0,0 +1,190 @@
+/**
+ * Palette Store
+ *
+ * Named palettes of pinned swatches, persisted in localStorage. Every
+ * update is a pure function returning a new state, so the tray can keep
+ * the state in React and save whatever it renders.
+ *
+ * State shape:
+ *   {
+ *     version: 1,
+ *     activeId: string,
+ *     palettes: [{ id, name, swatches: [{ id, name, label, hue, saturation, lightness, hex, rgb, slice?, position? }] }]
+ *   }
+ *
+ * A swatch keeps the name the provider gave it (`name`) and the HSL it was
+ * found at, so it can be found again; `label` is the user's own name for it.
+ * Swatches pinned from an HSV, OKLCH or CIELCh slice also keep that `slice`
+ * and their `position` along it (see colorModels.js), since their HSL is
+ * only the query the point was converted to.
+ */
+
+import { sameSlice } from './colorModels.js';
+
+const STORAGE_KEY = 'color-swatches-palettes';
+const STORE_VERSION = 1;
+
+function createId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function newPalette(name) {
+  return { id: createId(), name, swatches: [] };
+}
+
+/**
+ * @returns {Object} A state with one empty palette
+ */
+export function createInitialState() {
+  const palette = newPalette('Palette 1');
+  return { version: STORE_VERSION, activeId: palette.id, palettes: [palette] };
+}
+
+/**
+ * Reads saved palettes, falling back to a fresh state when nothing usable
+ * is stored
+ * @returns {Object} Palette state
+ */
+export function loadPalettes() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (stored?.version === STORE_VERSION && Array.isArray(stored.palettes) && stored.palettes.length > 0) {
+      const activeId = stored.palettes.some(p => p.id === stored.activeId)
+        ? stored.activeId
+        : stored.palettes[0].id;
+      return { ...stored, activeId };
+    }
+  } catch (error) {
+    console.error('Saved palettes could not be read:', error);
+  }
+  return createInitialState();
+}
+
+/**
+ * Saves palettes, logging rather than throwing (e.g. when storage is full)
+ * @param {Object} state - Palette state
+ */
+export function savePalettes(state) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  } catch (error) {
+    console.error('Palettes could not be saved:', error);
+  }
+}
+
+/**
+ * @returns {Object} The active palette
+ */
+export function getActivePalette(state) {
+  return state.palettes.find(p => p.id === state.activeId) || state.palettes[0];
+}
+
+function updateActive(state, update) {
+  return {
+    ...state,
+    palettes: state.palettes.map(p => (p.id === state.activeId ? update(p) : p)),
+  };
+}
+
+/**
+ * Adds a new empty palette and makes it active
+ */
+export function addPalette(state, name = `Palette ${state.palettes.length + 1}`) {
+  const palette = newPalette(name);
+  return { ...state, activeId: palette.id, palettes: [...state.palettes, palette] };
+}
+
+export function selectPalette(state, id) {
+  return { ...state, activeId: id };
+}
+
+export function renamePalette(state, id, name) {
+  return {
+    ...state,
+    palettes: state.palettes.map(p => (p.id === id ? { ...p, name } : p)),
+  };
+}
+
+/**
+ * Removes a palette; deleting the last one leaves a fresh empty palette
+ */
+export function deletePalette(state, id) {
+  const palettes = state.palettes.filter(p => p.id !== id);
+  if (palettes.length === 0) return createInitialState();
+  const activeId = state.activeId === id ? palettes[0].id : state.activeId;
+  return { ...state, activeId, palettes };
+}
+
+/**
+ * @returns {boolean} True if the active palette already holds this color at
+ *   this S/L (or in this slice)
+ */
+export function isPinned(state, color) {
+  return getActivePalette(state).swatches.some(swatch => {
+    if (swatch.name !== color.name || Boolean(swatch.slice) !== Boolean(color.slice)) return false;
+    return color.slice
+      ? sameSlice(swatch.slice, color.slice)
+      : swatch.saturation === color.saturation && swatch.lightness === color.lightness;
+  });
+}
+
+/**
+ * Pins a discovered color to the end of the active palette (once per name
+ * and S/L or slice)
+ */
+export function pinSwatch(state, color) {
+  if (isPinned(state, color)) return state;
+  const swatch = {
+    id: createId(),
+    name: color.name,
+    label: color.name,
+    hue: color.hue,
+    saturation: color.saturation,
+    lightness: color.lightness,
+    hex: color.hex,
+    rgb: color.rgb,
+    ...(color.slice && { slice: color.slice, position: color.position }),
+  };
+  return updateActive(state, p => ({ ...p, swatches: [...p.swatches, swatch] }));
+}
+
+/**
+ * A palette's swatches as colors for paletteExport.js, named by their labels
+ * @param {Object} palette - One of the state's palettes
+ * @returns {Object[]} Colors with `name`, `hex`, `hsl` and `rgb`
+ */
+export function paletteColors(palette) {
+  return palette.swatches.map(swatch => ({
+    name: swatch.label || swatch.name,
+    hex: swatch.hex,
+    rgb: swatch.rgb,
+    hsl: `hsl(${swatch.hue}, ${swatch.saturation}%, ${swatch.lightness}%)`,
+  }));
+}
+
+export function unpinSwatch(state, swatchId) {
+  return updateActive(state, p => ({ ...p, swatches: p.swatches.filter(s => s.id !== swatchId) }));
+}
+
+export function renameSwatch(state, swatchId, label) {
+  return updateActive(state, p => ({
+    ...p,
+    swatches: p.swatches.map(s => (s.id === swatchId ? { ...s, label } : s)),
+  }));
+}
+
+/**
+ * Moves a swatch to a new index within the active palette
+ */
+export function moveSwatch(state, swatchId, toIndex) {
+  return updateActive(state, p => {
+    const from = p.swatches.findIndex(s => s.id === swatchId);
+    if (from === -1) return p;
+    const target = Math.max(0, Math.min(p.swatches.length - 1, toIndex));
+    if (target === from) return p;
+    const swatches = [...p.swatches];
+    const [moved] = swatches.splice(from, 1);
+    swatches.splice(target, 0, moved);
+    return { ...p, swatches };
+  });
+}
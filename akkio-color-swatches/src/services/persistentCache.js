@@ -0,0 +1,349 @@
+/**
+ * Persistent Color Cache
+ *
+ * Keeps color lookups across sessions in IndexedDB. All entries are mirrored
+ * in memory so reads stay synchronous once the cache has loaded; writes go
+ * to both. Entries are grouped into namespaces (one per color provider),
+ * expire after a TTL and are evicted least-recently-used once the cache
+ * holds more than `maxEntries`.
+ *
+ * Where IndexedDB is unavailable (private browsing, Node) the cache silently
+ * works in memory only. A connection closes itself when another tab opens a
+ * newer schema, so upgrades are never stuck behind a stale tab.
+ *
+ * Every context with a cache (the page, the discovery worker, other tabs)
+ * announces its writes and purges on a BroadcastChannel, so the others'
+ * in-memory copies pick up entries they didn't look up themselves, with or
+ * without IndexedDB.
+ */
+
+// Bump when the stored entry format changes; older databases are wiped
+export const CACHE_SCHEMA_VERSION = 1;
+
+const DB_NAME = 'color-swatches-cache';
+const STORE_NAME = 'entries';
+const DAY = 24 * 60 * 60 * 1000;
+const TOUCH_FLUSH_DELAY = 2000; // ms
+
+/**
+ * Wraps an IDBRequest in a promise
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Opens the cache database, recreating the store when the schema changes
+ *
+ * A schema bump has to wait until every connection to the older version is
+ * closed, so each connection closes itself as soon as a newer one asks.
+ * While that is pending the open request is `blocked`, not failed: it
+ * succeeds once the other connections are gone.
+ * @param {Object} handlers
+ * @param {Function} handlers.onBlocked - Called while another connection
+ *   holds the older version open
+ * @param {Function} handlers.onClose - Called after this connection closed
+ *   for a newer version
+ */
+function openDatabase({ onBlocked, onClose }) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, CACHE_SCHEMA_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      // Entries from an older schema can't be trusted - start over
+      if (db.objectStoreNames.contains(STORE_NAME)) {
+        db.deleteObjectStore(STORE_NAME);
+      }
+      const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      store.createIndex('namespace', 'namespace');
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      db.onversionchange = () => {
+        db.close();
+        onClose();
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => onBlocked();
+  });
+}
+
+/**
+ * Creates a persistent, namespaced LRU cache
+ * @param {Object} [options]
+ * @param {number} [options.ttl] - Entry lifetime in ms (default 30 days)
+ * @param {number} [options.maxEntries] - Size cap across all namespaces
+ * @returns {Object} Cache instance
+ */
+export function createPersistentCache({ ttl = 30 * DAY, maxEntries = 20000 } = {}) {
+  // Map iteration order doubles as LRU order: oldest access first
+  const entries = new Map();
+  const touched = new Set();
+  let db = null;
+  let touchTimer = null;
+  let markBlocked;
+  const blocked = new Promise(resolve => {
+    markBlocked = resolve;
+  });
+
+  const idOf = (namespace, key) => `${namespace}|${key}`;
+
+  // Also without IndexedDB: the page's memory is then the only place it
+  // sees what the worker looked up
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(DB_NAME) : null;
+  // Node has BroadcastChannel too; don't let it keep scripts running
+  channel?.unref?.();
+
+  /**
+   * Runs a readwrite transaction, logging rather than throwing on failure:
+   * the in-memory copy stays correct even if persisting fails
+   */
+  function write(operation) {
+    if (!db) return Promise.resolve();
+    return new Promise(resolve => {
+      const fail = error => {
+        console.error('Error writing color cache:', error);
+        resolve();
+      };
+      // Starting a transaction throws while the connection is closing
+      try {
+        const tx = db.transaction(STORE_NAME, 'readwrite');
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => fail(tx.error);
+        tx.onabort = () => fail(tx.error);
+        operation(tx.objectStore(STORE_NAME));
+      } catch (error) {
+        fail(error);
+      }
+    });
+  }
+
+  function scheduleTouchFlush() {
+    if (touchTimer || !db) return;
+    touchTimer = setTimeout(() => {
+      touchTimer = null;
+      const ids = Array.from(touched);
+      touched.clear();
+      write(store => {
+        for (const id of ids) {
+          const entry = entries.get(id);
+          if (entry) store.put(entry);
+        }
+      });
+    }, TOUCH_FLUSH_DELAY);
+  }
+
+  function evictOverflow() {
+    const evicted = [];
+    for (const id of entries.keys()) {
+      if (entries.size <= maxEntries) break;
+      entries.delete(id);
+      evicted.push(id);
+    }
+    if (evicted.length > 0) {
+      write(store => evicted.forEach(id => store.delete(id)));
+    }
+  }
+
+  async function load() {
+    if (typeof indexedDB === 'undefined') return;
+
+    try {
+      const database = await openDatabase({
+        onBlocked: () => {
+          console.warn('Color cache is waiting for another tab to release the database; using memory until then');
+          markBlocked();
+        },
+        onClose: () => {
+          console.warn('Color cache was upgraded by a newer tab; using memory only until reload');
+          db = null;
+        },
+      });
+      const stored = await promisifyRequest(
+        database.transaction(STORE_NAME).objectStore(STORE_NAME).getAll()
+      );
+
+      // Lookups made while the database was blocked are newer than anything stored
+      const pending = Array.from(entries.values());
+      entries.clear();
+
+      const now = Date.now();
+      const expired = [];
+      stored
+        .sort((a, b) => a.lastAccess - b.lastAccess)
+        .forEach(entry => {
+          if (entry.expiresAt <= now) {
+            expired.push(entry.id);
+          } else {
+            entries.set(entry.id, entry);
+          }
+        });
+      pending.forEach(entry => {
+        entries.delete(entry.id);
+        entries.set(entry.id, entry);
+      });
+
+      db = database;
+      if (pending.length > 0) {
+        write(store => pending.forEach(entry => store.put(entry)));
+      }
+      if (expired.length > 0) {
+        write(store => expired.forEach(id => store.delete(id)));
+      }
+      evictOverflow();
+    } catch (error) {
+      console.error('Color cache unavailable, using memory only:', error);
+      db = null;
+    }
+  }
+
+  /**
+   * Drops every entry, or a namespace's, from memory
+   * @returns {string[]|null} Ids of the dropped entries (null for all)
+   */
+  function forget(namespace) {
+    if (namespace === undefined) {
+      entries.clear();
+      touched.clear();
+      return null;
+    }
+
+    const ids = [];
+    for (const [id, entry] of entries) {
+      if (entry.namespace === namespace) ids.push(id);
+    }
+    ids.forEach(id => entries.delete(id));
+    return ids;
+  }
+
+  // Another context already persisted these (if anything persists); only
+  // memory needs updating
+  if (channel) {
+    channel.onmessage = ({ data }) => {
+      if (data.type === 'set') {
+        entries.delete(data.entry.id);
+        entries.set(data.entry.id, data.entry);
+        evictOverflow();
+      } else if (data.type === 'clear') {
+        forget(data.namespace);
+      }
+    };
+  }
+
+  const loaded = load();
+
+  return {
+    /**
+     * Resolves once persisted entries are loaded into memory, or as soon as
+     * opening the database turns out to be blocked by another tab (the
+     * cache then starts in memory and catches up when the database opens)
+     * @returns {Promise<void>}
+     */
+    ready() {
+      return Promise.race([loaded, blocked]);
+    },
+
+    /**
+     * @returns {boolean} True if a live entry exists (does not count as an access)
+     */
+    has(namespace, key) {
+      const entry = entries.get(idOf(namespace, key));
+      return Boolean(entry) && entry.expiresAt > Date.now();
+    },
+
+    /**
+     * Reads an entry and marks it most recently used
+     * @returns {*} The cached value, or undefined
+     */
+    get(namespace, key) {
+      const id = idOf(namespace, key);
+      const entry = entries.get(id);
+      if (!entry) return undefined;
+
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(id);
+        write(store => store.delete(id));
+        return undefined;
+      }
+
+      entry.lastAccess = Date.now();
+      entries.delete(id);
+      entries.set(id, entry);
+      touched.add(id);
+      scheduleTouchFlush();
+
+      return entry.value;
+    },
+
+    /**
+     * Lists the live values in one namespace (does not count as an access)
+     * @param {string} namespace
+     * @returns {Array<*>} Cached values
+     */
+    values(namespace) {
+      const now = Date.now();
+      const values = [];
+      for (const entry of entries.values()) {
+        if (entry.namespace === namespace && entry.expiresAt > now) {
+          values.push(entry.value);
+        }
+      }
+      return values;
+    },
+
+    /**
+     * Stores an entry, evicting the least recently used ones past the cap
+     */
+    set(namespace, key, value) {
+      const id = idOf(namespace, key);
+      const now = Date.now();
+      const entry = { id, namespace, key, value, lastAccess: now, expiresAt: now + ttl };
+
+      entries.delete(id);
+      entries.set(id, entry);
+      write(store => store.put(entry));
+      channel?.postMessage({ type: 'set', entry });
+      evictOverflow();
+    },
+
+    /**
+     * Removes every entry, or only those in one namespace
+     * @param {string} [namespace]
+     * @returns {Promise<void>} Resolves once the store is updated
+     */
+    clear(namespace) {
+      channel?.postMessage({ type: 'clear', namespace });
+      const ids = forget(namespace);
+      if (ids === null) {
+        return write(store => store.clear());
+      }
+      return write(store => ids.forEach(id => store.delete(id)));
+    },
+
+    /**
+     * Summarizes cache contents for display
+     * @returns {Object} Totals, per-namespace counts and configuration
+     */
+    stats() {
+      const namespaces = {};
+      for (const entry of entries.values()) {
+        namespaces[entry.namespace] = (namespaces[entry.namespace] || 0) + 1;
+      }
+      return {
+        entries: entries.size,
+        namespaces,
+        persistent: Boolean(db),
+        schemaVersion: CACHE_SCHEMA_VERSION,
+        maxEntries,
+        ttl,
+      };
+    },
+  };
+}
@@ -0,0 +1,242 @@
+/**
+ * Request Scheduler
+ *
+ * Single queue that owns every provider lookup:
+ * - Caps how many requests run at once and how many start per second
+ * - Coalesces identical requests: a second caller for a key that is queued
+ *   or in flight shares the first caller's request
+ * - Starts higher-priority requests first, so a newer S/L can overtake
+ *   requests for one the user has already moved away from
+ * - Cancels per consumer: aborting one caller's signal only abandons that
+ *   caller; the request itself is aborted once nobody is waiting on it
+ * - Can pause entirely, e.g. while the server asks clients to back off
+ *
+ * Also exports the abortable `wait()` used for retry backoff and simulated
+ * provider latency.
+ */
+
+function abortError() {
+  return new DOMException('The request was aborted', 'AbortError');
+}
+
+/**
+ * Resolves after `delay` ms, or rejects early if the signal aborts
+ * @param {number} delay - Delay in ms
+ * @param {AbortSignal} [signal] - Abort signal for cancellation
+ * @returns {Promise<void>}
+ */
+export function wait(delay, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, delay);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(abortError());
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// One abort listener per signal, however many requests it covers
+const abortCallbacks = new WeakMap();
+
+function onSignalAbort(signal, callback) {
+  let callbacks = abortCallbacks.get(signal);
+  if (!callbacks) {
+    callbacks = new Set();
+    abortCallbacks.set(signal, callbacks);
+    signal.addEventListener('abort', () => {
+      abortCallbacks.delete(signal);
+      callbacks.forEach(fn => fn());
+    }, { once: true });
+  }
+  callbacks.add(callback);
+  return () => callbacks.delete(callback);
+}
+
+/**
+ * Creates a request scheduler
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Max requests running at once
+ * @param {number} [options.requestsPerSecond] - Max requests started per second
+ * @returns {Object} Scheduler instance
+ */
+export function createRequestScheduler({ concurrency = 8, requestsPerSecond = 25 } = {}) {
+  const limits = { concurrency, requestsPerSecond };
+  const entries = new Map(); // key -> queued or running entry
+  const queue = []; // entries waiting to start
+  const recentStarts = []; // start times within the last second
+  let running = 0;
+  let sequence = 0;
+  let priorityCounter = 0;
+  let pausedUntil = 0;
+  let wakeTimer = null;
+
+  function wakeIn(delay) {
+    if (wakeTimer) return;
+    wakeTimer = setTimeout(() => {
+      wakeTimer = null;
+      pump();
+    }, delay);
+  }
+
+  function forget(entry) {
+    // A new request for the key may have replaced an abandoned one
+    if (entries.get(entry.key) === entry) {
+      entries.delete(entry.key);
+    }
+  }
+
+  function settle(entry, outcome, value) {
+    forget(entry);
+    for (const consumer of entry.consumers) {
+      consumer.cleanup();
+      consumer[outcome](value);
+    }
+    entry.consumers.clear();
+  }
+
+  function start(entry) {
+    running++;
+    recentStarts.push(Date.now());
+    entry.started = true;
+
+    Promise.resolve()
+      .then(() => entry.task(entry.controller.signal))
+      .then(
+        value => settle(entry, 'resolve', value),
+        error => settle(entry, 'reject', error)
+      )
+      .finally(() => {
+        running--;
+        pump();
+      });
+  }
+
+  function pump() {
+    while (running < limits.concurrency && queue.length > 0) {
+      const now = Date.now();
+      if (now < pausedUntil) {
+        wakeIn(pausedUntil - now);
+        return;
+      }
+
+      // Drop start times older than the rate window
+      while (recentStarts.length > 0 && now - recentStarts[0] >= 1000) {
+        recentStarts.shift();
+      }
+
+      if (recentStarts.length >= limits.requestsPerSecond) {
+        wakeIn(1000 - (now - recentStarts[0]));
+        return;
+      }
+
+      // Highest priority first, oldest first within a priority
+      let next = 0;
+      for (let i = 1; i < queue.length; i++) {
+        if (queue[i].priority > queue[next].priority ||
+            (queue[i].priority === queue[next].priority && queue[i].sequence < queue[next].sequence)) {
+          next = i;
+        }
+      }
+      start(queue.splice(next, 1)[0]);
+    }
+  }
+
+  function release(entry, consumer) {
+    entry.consumers.delete(consumer);
+    if (entry.consumers.size > 0) return;
+
+    // Nobody is waiting any more: abandon the request
+    forget(entry);
+    if (entry.started) {
+      entry.controller.abort();
+    } else {
+      queue.splice(queue.indexOf(entry), 1);
+    }
+  }
+
+  return {
+    /**
+     * Queues a request, or joins an identical one already queued/in flight
+     * @param {string} key - Identity used to coalesce requests
+     * @param {Function} task - (signal) => Promise, run at most once per key at a time
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels this caller only
+     * @param {number} [options.priority] - Higher starts sooner (default 0)
+     * @returns {Promise<*>} The task's result
+     */
+    schedule(key, task, { signal = null, priority = 0 } = {}) {
+      if (signal?.aborted) {
+        return Promise.reject(abortError());
+      }
+
+      let entry = entries.get(key);
+      if (!entry) {
+        entry = {
+          key,
+          task,
+          priority,
+          sequence: sequence++,
+          controller: new AbortController(),
+          consumers: new Set(),
+          started: false,
+        };
+        entries.set(key, entry);
+        queue.push(entry);
+      } else {
+        // A newer caller can promote a request that's still waiting
+        entry.priority = Math.max(entry.priority, priority);
+      }
+
+      const promise = new Promise((resolve, reject) => {
+        const consumer = { resolve, reject, cleanup: () => {} };
+        if (signal) {
+          consumer.cleanup = onSignalAbort(signal, () => {
+            release(entry, consumer);
+            reject(abortError());
+          });
+        }
+        entry.consumers.add(consumer);
+      });
+
+      pump();
+      return promise;
+    },
+
+    /**
+     * Hands out increasing priorities: each new caller outranks older ones
+     * @returns {number}
+     */
+    nextPriority() {
+      return ++priorityCounter;
+    },
+
+    /**
+     * Holds back new requests for a while, e.g. after the server answers
+     * 429 Too Many Requests. Running requests are unaffected.
+     * @param {number} delay - Pause in ms
+     */
+    pauseFor(delay) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+    },
+
+    /**
+     * Changes the concurrency and rate caps
+     * @param {Object} options - `concurrency` and/or `requestsPerSecond`
+     */
+    setLimits(options) {
+      Object.assign(limits, options);
+      pump();
+    },
+
+    /**
+     * @returns {{running: number, queued: number, concurrency: number, requestsPerSecond: number}}
+     */
+    stats() {
+      return { running, queued: queue.length, ...limits };
+    },
+  };
+}
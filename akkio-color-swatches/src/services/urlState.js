@@ -0,0 +1,106 @@
+/**
+ * URL State
+ *
+ * Mirrors the explorer state in the query string so an exploration can be
+ * shared as a link and revisited with back/forward:
+ *
+ *   ?s=72&l=35&view=grid&sort=name&color=Crimson
+ *
+ * Slices of other color models (see colorModels.js) add the model and
+ * swept axis, with each fixed axis under its own id:
+ *
+ *   ?model=oklch&l=70&c=25
+ *
+ * Values equal to the defaults are left out to keep links short. Anything
+ * missing or invalid in a URL falls back to its default.
+ */
+
+import { SORT_OPTIONS } from './colorSort.js';
+import { DEFAULT_SLICE, fixedAxes, getColorModel, normalizeSlice } from './colorModels.js';
+
+export const VIEWS = ['grid', 'map', 'compare'];
+
+export const DEFAULT_URL_STATE = {
+  slice: DEFAULT_SLICE,
+  view: 'grid',
+  sort: 'hue',
+  selected: null,
+};
+
+/**
+ * Reads the slice parameters; normalizeSlice() defaults and clamps them
+ */
+function readSlice(params) {
+  const model = getColorModel(params.get('model'));
+  const fixed = {};
+  for (const axis of model.axes) {
+    const raw = params.get(axis.id);
+    if (raw !== null && raw.trim() !== '') fixed[axis.id] = Number(raw);
+  }
+  return normalizeSlice({ model: model.id, sweep: params.get('sweep'), fixed });
+}
+
+/**
+ * Parses explorer state from a query string
+ * @param {string} search - e.g. window.location.search
+ * @returns {Object} `{ slice, view, sort, selected }`
+ */
+export function parseUrlState(search) {
+  const params = new URLSearchParams(search);
+  const view = params.get('view');
+  const sort = params.get('sort');
+
+  return {
+    slice: readSlice(params),
+    view: VIEWS.includes(view) ? view : DEFAULT_URL_STATE.view,
+    sort: SORT_OPTIONS.some(option => option.id === sort) ? sort : DEFAULT_URL_STATE.sort,
+    selected: params.get('color') || null,
+  };
+}
+
+/**
+ * Builds the query string for explorer state, omitting default values
+ * @param {Object} state - `{ slice, view, sort, selected }`
+ * @returns {string} Query string including the leading "?", or "" when all defaults
+ */
+export function serializeUrlState(state) {
+  const params = new URLSearchParams();
+  const { slice } = state;
+  if (slice.model !== DEFAULT_SLICE.model) params.set('model', slice.model);
+  if (slice.sweep !== DEFAULT_SLICE.sweep) params.set('sweep', slice.sweep);
+  for (const axis of fixedAxes(slice)) {
+    if (slice.fixed[axis.id] !== axis.initial) params.set(axis.id, slice.fixed[axis.id]);
+  }
+  if (state.view !== DEFAULT_URL_STATE.view) params.set('view', state.view);
+  if (state.sort !== DEFAULT_URL_STATE.sort) params.set('sort', state.sort);
+  if (state.selected) params.set('color', state.selected);
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+/**
+ * @returns {Object} Explorer state from the current location
+ */
+export function readUrlState() {
+  return parseUrlState(window.location.search);
+}
+
+/**
+ * Writes explorer state to the address bar. Does nothing when the URL
+ * already matches, so restoring state from history doesn't add entries.
+ * @param {Object} state - Explorer state
+ * @param {Object} [options]
+ * @param {boolean} [options.replace] - Replace the current entry instead of adding one
+ */
+export function writeUrlState(state, { replace = false } = {}) {
+  const search = serializeUrlState(state);
+  if (search === window.location.search) return;
+
+  const url = `${window.location.pathname}${search}${window.location.hash}`;
+  if (replace) {
+    window.history.replaceState(null, '', url);
+  } else {
+    window.history.pushState(null, '', url);
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * WCAG Contrast
+ *
+ * Relative luminance and contrast ratio as defined by WCAG 2.x, plus the
+ * AA/AAA thresholds used to grade text/background pairs.
+ */
+
+import { srgbToLinear } from './colorMath.js';
+
+export const WHITE = { red: 255, green: 255, blue: 255 };
+export const BLACK = { red: 0, green: 0, blue: 0 };
+
+// Minimum contrast ratios for normal-size text (large text needs 3 for AA, 4.5 for AAA)
+export const CONTRAST_LEVELS = {
+  AA: 4.5,
+  AAA: 7,
+};
+
+/**
+ * WCAG relative luminance of an sRGB color
+ * @param {{red: number, green: number, blue: number}} rgb - RGB channels
+ * @returns {number} Luminance from 0 (black) to 1 (white)
+ */
+export function relativeLuminance({ red, green, blue }) {
+  return 0.2126 * srgbToLinear(red) + 0.7152 * srgbToLinear(green) + 0.0722 * srgbToLinear(blue);
+}
+
+/**
+ * WCAG contrast ratio between two colors (order doesn't matter)
+ * @returns {number} Ratio from 1 (identical) to 21 (black on white)
+ */
+export function contrastRatio(rgb1, rgb2) {
+  const l1 = relativeLuminance(rgb1);
+  const l2 = relativeLuminance(rgb2);
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+/**
+ * Grades a contrast ratio for normal-size text
+ * @param {number} ratio - Contrast ratio
+ * @returns {'AAA'|'AA'|'AA Large'|'Fail'} Highest level met; 'AA Large'
+ *   only passes for large (18pt, or 14pt bold) text
+ */
+export function gradeContrast(ratio) {
+  if (ratio >= CONTRAST_LEVELS.AAA) return 'AAA';
+  if (ratio >= CONTRAST_LEVELS.AA) return 'AA';
+  if (ratio >= 3) return 'AA Large';
+  return 'Fail';
+}
+
+/**
+ * Picks black or white text, whichever contrasts more with the background
+ * @param {{red: number, green: number, blue: number}} background - RGB channels
+ * @returns {'#000000'|'#ffffff'} Text color
+ */
+export function pickTextColor(background) {
+  return contrastRatio(background, BLACK) >= contrastRatio(background, WHITE) ? '#000000' : '#ffffff';
+}
+
+/**
+ * Lists every pair of colors that meets a contrast ratio, in either role
+ * @param {Object[]} colors - Colors with `rgb`
+ * @param {number} minRatio - e.g. CONTRAST_LEVELS.AA
+ * @returns {{first: Object, second: Object, ratio: number}[]} Passing pairs, highest ratio first
+ */
+export function findAccessiblePairs(colors, minRatio) {
+  const luminances = colors.map(color => relativeLuminance(color.rgb));
+  const pairs = [];
+
+  for (let i = 0; i < colors.length; i++) {
+    for (let j = i + 1; j < colors.length; j++) {
+      const ratio = (Math.max(luminances[i], luminances[j]) + 0.05) /
+        (Math.min(luminances[i], luminances[j]) + 0.05);
+      if (ratio >= minRatio) {
+        pairs.push({ first: colors[i], second: colors[j], ratio });
+      }
+    }
+  }
+
+  return pairs.sort((a, b) => b.ratio - a.ratio);
+}
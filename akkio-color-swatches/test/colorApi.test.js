@@ -0,0 +1,149 @@
+/**
+ * Discovery against a stub provider: boundary bisection, partial results,
+ * retrying failed hues and the quadtree name map
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  configureColorProvider,
+  configureLogger,
+  configureRequestLimits,
+  discoverSliceColors,
+  retrySliceColors,
+} from '../src/services/colorApi.js';
+import { MAP_SIZE, fetchNameRegionMap } from '../src/services/nameRegionMap.js';
+
+const SLICE = { model: 'hsl', sweep: 'h', fixed: { s: 50, l: 50 } };
+const BANDS = [[0, 'Red'], [40, 'Orange'], [70, 'Yellow'], [150, 'Green'], [200, 'Cyan'], [250, 'Blue'], [290, 'Purple'], [340, 'Red']];
+
+const bandName = hue => BANDS.filter(([start]) => hue >= start).at(-1)[1];
+
+/**
+ * Uncached provider that names colors with `stub.name` and fails with a 404
+ * for every "h,s,l" in `stub.failing`
+ */
+const stub = {
+  calls: 0,
+  failing: new Set(),
+  name: bandName,
+};
+
+configureColorProvider({
+  id: 'stub',
+  cacheable: false,
+  async lookup(hue, saturation, lightness) {
+    stub.calls++;
+    if (stub.failing.has(`${hue},${saturation},${lightness}`)) {
+      throw Object.assign(new Error('API error: 404'), { status: 404 });
+    }
+    return {
+      name: stub.name(hue, saturation, lightness),
+      rgb: { red: 0, green: 0, blue: 0 },
+      hex: '#000000',
+      hsl: `hsl(${hue}, ${saturation}%, ${lightness}%)`,
+    };
+  },
+});
+configureLogger({ log() {}, warn() {} });
+configureRequestLimits({ concurrency: 50, requestsPerSecond: 1e6 });
+
+/**
+ * Resets the stub and runs `run`, with failed lookups' console errors muted
+ */
+async function withStub(t, { failing = [], name = bandName } = {}, run) {
+  t.mock.method(console, 'error', () => {});
+  Object.assign(stub, { calls: 0, failing: new Set(failing), name });
+  return run();
+}
+
+const bands = colors => colors.map(({ name, hueStart, hueEnd }) => [name, hueStart, hueEnd]);
+
+test('bisects to every band edge with far fewer than 360 lookups', async t => {
+  await withStub(t, {}, async () => {
+    const { colors, stats } = await discoverSliceColors(SLICE);
+
+    assert.deepEqual(bands(colors), [
+      ['Red', 340, 39],
+      ['Orange', 40, 69],
+      ['Yellow', 70, 149],
+      ['Green', 150, 199],
+      ['Cyan', 200, 249],
+      ['Blue', 250, 289],
+      ['Purple', 290, 339],
+    ]);
+    assert.deepEqual(stats.failedHues, []);
+    assert.equal(stats.requests, stub.calls);
+    assert.ok(stub.calls < 100, `${stub.calls} lookups`);
+  });
+});
+
+test('keeps going past failed lookups and reports their hues', async t => {
+  const failing = Array.from({ length: 16 }, (_, i) => `${95 + i},50,50`);
+  await withStub(t, { failing }, async () => {
+    const { colors, stats } = await discoverSliceColors(SLICE);
+
+    assert.equal(colors.length, 7);
+    assert.ok(stats.failedHues.length > 0);
+    stats.failedHues.forEach(hue => assert.ok(hue >= 95 && hue <= 110, `failed hue ${hue}`));
+  });
+});
+
+test('rejects when no lookup resolves', async t => {
+  const failing = Array.from({ length: 360 }, (_, hue) => `${hue},50,50`);
+  await withStub(t, { failing }, async () => {
+    await assert.rejects(discoverSliceColors(SLICE), { status: 404 });
+  });
+});
+
+test('a retry looks up only the failed hues and merges them in', async t => {
+  const hidden = hue => (hue === 100 ? 'Narrow' : bandName(hue));
+  const previous = await withStub(t, { failing: ['100,50,50'], name: hidden }, () => discoverSliceColors(SLICE));
+  assert.deepEqual(previous.stats.failedHues, [100]);
+  assert.ok(!previous.colors.some(color => color.name === 'Narrow'));
+
+  await withStub(t, { name: hidden }, async () => {
+    const { colors, stats } = await retrySliceColors(SLICE, previous);
+
+    assert.equal(stub.calls, 1);
+    assert.deepEqual(stats.failedHues, []);
+    assert.ok(colors.some(color => color.name === 'Narrow'));
+  });
+});
+
+test('a retry that fails again keeps the hue listed', async t => {
+  const previous = await withStub(t, { failing: ['100,50,50'] }, () => discoverSliceColors(SLICE));
+  await withStub(t, { failing: ['100,50,50'] }, async () => {
+    const { colors, stats } = await retrySliceColors(SLICE, previous);
+    assert.deepEqual(stats.failedHues, [100]);
+    assert.deepEqual(bands(colors), bands(previous.colors));
+  });
+});
+
+test('the name map fills uniform quadrants without looking up every point', async t => {
+  const byLightness = (hue, saturation, lightness) => (lightness < 35 ? 'Dark' : 'Light');
+  await withStub(t, { name: byLightness }, async () => {
+    const { names, colorsByName, failedPoints } = await fetchNameRegionMap(120);
+
+    assert.equal(names.length, MAP_SIZE * MAP_SIZE);
+    for (let s = 0; s < MAP_SIZE; s++) {
+      for (let l = 0; l < MAP_SIZE; l++) {
+        assert.equal(names[s * MAP_SIZE + l], l < 35 ? 'Dark' : 'Light', `s=${s} l=${l}`);
+      }
+    }
+    assert.deepEqual([...colorsByName.keys()].sort(), ['Dark', 'Light']);
+    assert.deepEqual(failedPoints, []);
+    assert.ok(stub.calls < names.length / 4, `${stub.calls} lookups`);
+  });
+});
+
+test('the name map reports failed points and resolves the rest', async t => {
+  await withStub(t, { failing: ['120,50,50'], name: () => 'Green' }, async () => {
+    const { names, failedPoints } = await fetchNameRegionMap(120);
+
+    assert.deepEqual(failedPoints, [{ saturation: 50, lightness: 50 }]);
+    assert.equal(names[50 * MAP_SIZE + 50], null);
+    assert.equal(names[0], 'Green');
+    assert.equal(names[MAP_SIZE * MAP_SIZE - 1], 'Green');
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Color models: slice normalization, comparison, gamut mapping, provider
+ * queries and labels
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_SLICE,
+  describeSlice,
+  fixedAxes,
+  formatSliceColor,
+  formatSweepValue,
+  hslSlice,
+  isHslHueSlice,
+  normalizeSlice,
+  sameSlice,
+  sliceColorAt,
+  sliceQuery,
+  sweepAxis,
+} from '../src/services/colorModels.js';
+
+const OKLCH_HUE = { model: 'oklch', sweep: 'h', fixed: { l: 65, c: 100 } };
+
+test('normalizeSlice falls back to the default for missing or unknown parts', () => {
+  assert.deepEqual(normalizeSlice(), DEFAULT_SLICE);
+  assert.deepEqual(normalizeSlice({ model: 'xyz', sweep: 'q' }), DEFAULT_SLICE);
+  assert.deepEqual(normalizeSlice({ model: 'oklch', sweep: 'c' }), {
+    model: 'oklch',
+    sweep: 'c',
+    fixed: { l: 65, h: 0 },
+  });
+});
+
+test('normalizeSlice rounds, clamps and wraps fixed values', () => {
+  assert.deepEqual(normalizeSlice({ model: 'lch', sweep: 'c', fixed: { l: '140', h: -30 } }), {
+    model: 'lch',
+    sweep: 'c',
+    fixed: { l: 100, h: 330 },
+  });
+  assert.deepEqual(normalizeSlice({ model: 'hsl', sweep: 'h', fixed: { s: 49.6, l: 'dark' } }).fixed, {
+    s: 50,
+    l: 50,
+  });
+  assert.deepEqual(normalizeSlice({ model: 'hsv', sweep: 'v', fixed: { h: 720, s: -5 } }).fixed, {
+    h: 0,
+    s: 0,
+  });
+});
+
+test('sweepAxis and fixedAxes split a model’s axes', () => {
+  assert.equal(sweepAxis(OKLCH_HUE).id, 'h');
+  assert.deepEqual(fixedAxes(OKLCH_HUE).map(axis => axis.id), ['l', 'c']);
+  assert.deepEqual(fixedAxes(DEFAULT_SLICE).map(axis => axis.id), ['s', 'l']);
+});
+
+test('recognises and builds HSL hue slices', () => {
+  assert.deepEqual(hslSlice(30, 70), { model: 'hsl', sweep: 'h', fixed: { s: 30, l: 70 } });
+  assert.equal(isHslHueSlice(hslSlice(30, 70)), true);
+  assert.equal(isHslHueSlice({ model: 'hsl', sweep: 'l', fixed: { h: 0, s: 50 } }), false);
+  assert.equal(isHslHueSlice(OKLCH_HUE), false);
+});
+
+test('sameSlice compares model, sweep and the fixed values only', () => {
+  assert.equal(sameSlice(hslSlice(50, 50), DEFAULT_SLICE), true);
+  assert.equal(sameSlice(hslSlice(50, 51), DEFAULT_SLICE), false);
+  assert.equal(sameSlice({ ...OKLCH_HUE, fixed: { ...OKLCH_HUE.fixed, h: 120 } }, OKLCH_HUE), true);
+  assert.equal(sameSlice({ ...OKLCH_HUE, model: 'lch' }, OKLCH_HUE), false);
+});
+
+test('HSL slices convert directly and query their own coordinates', () => {
+  assert.deepEqual(sliceColorAt(hslSlice(100, 50), 120), {
+    rgb: { red: 0, green: 255, blue: 0 },
+    clipped: false,
+  });
+  assert.deepEqual(
+    sliceQuery({ model: 'hsl', sweep: 'l', fixed: { h: 10, s: 20 } }, 40),
+    { hue: 10, saturation: 20, lightness: 40 }
+  );
+});
+
+test('out-of-gamut OKLCH points have their chroma reduced into sRGB', () => {
+  const { rgb, clipped } = sliceColorAt(OKLCH_HUE, 30);
+  assert.equal(clipped, true);
+  for (const channel of Object.values(rgb)) {
+    assert.ok(Number.isInteger(channel) && channel >= 0 && channel <= 255, `channel ${channel}`);
+  }
+
+  const gray = sliceColorAt({ model: 'oklch', sweep: 'h', fixed: { l: 65, c: 1 } }, 30);
+  assert.equal(gray.clipped, false);
+});
+
+test('other models query the nearest whole HSL value', () => {
+  const query = sliceQuery(OKLCH_HUE, 30);
+  assert.deepEqual(query, { hue: 5, saturation: 100, lightness: 57 });
+  Object.values(query).forEach(value => assert.ok(Number.isInteger(value)));
+  assert.ok(query.hue >= 0 && query.hue < 360);
+});
+
+test('formats points and describes slices for titles', () => {
+  assert.equal(formatSliceColor(OKLCH_HUE, 30), 'oklch(65% 100% 30)');
+  assert.equal(formatSliceColor(DEFAULT_SLICE, 200), 'hsl(200 50% 50%)');
+  assert.equal(formatSweepValue(OKLCH_HUE, 30), '30°');
+  assert.equal(formatSweepValue({ model: 'lch', sweep: 'c', fixed: { l: 60, h: 0 } }, 40), '40');
+  assert.equal(describeSlice(DEFAULT_SLICE), 'S50 L50');
+  assert.equal(describeSlice(OKLCH_HUE), 'OKLCH L65 C100');
+});
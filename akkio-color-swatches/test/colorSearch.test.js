@@ -0,0 +1,87 @@
+/**
+ * Color search: query parsing, name scoring and fuzzy name search
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseColorQuery, scoreNameMatch, searchColorNames } from '../src/services/colorSearch.js';
+
+const hsl = (hue, saturation, lightness) => ({ type: 'hsl', hue, saturation, lightness });
+const sample = (name, hue, saturation, lightness) => ({ name, hue, saturation, lightness });
+
+test('parses hex codes, with or without "#"', () => {
+  assert.deepEqual(parseColorQuery('#f00'), hsl(0, 100, 50));
+  assert.deepEqual(parseColorQuery('ff8000'), hsl(30, 100, 50));
+  assert.deepEqual(parseColorQuery('  #FF8000 '), hsl(30, 100, 50));
+});
+
+test('words made only of hex letters are searched as names', () => {
+  assert.deepEqual(parseColorQuery('facade'), { type: 'name', text: 'facade' });
+  assert.deepEqual(parseColorQuery('beige'), { type: 'name', text: 'beige' });
+});
+
+test('parses rgb() and rgba(), in channels or percentages', () => {
+  assert.deepEqual(parseColorQuery('rgb(0, 128, 255)'), hsl(210, 100, 50));
+  assert.deepEqual(parseColorQuery('rgba(100%,0%,0%,0.5)'), hsl(0, 100, 50));
+  assert.deepEqual(parseColorQuery('rgb(0 128 255 / 50%)'), hsl(210, 100, 50));
+});
+
+test('parses hsl() and hsla(), wrapping hue and capping percentages', () => {
+  assert.deepEqual(parseColorQuery('hsl(200, 40%, 60%)'), hsl(200, 40, 60));
+  assert.deepEqual(parseColorQuery('hsl(120deg 50% 25% / 0.5)'), hsl(120, 50, 25));
+  assert.deepEqual(parseColorQuery('hsl(400, 150%, 30%)'), hsl(40, 100, 30));
+});
+
+test('returns null for empty input and the text for anything else', () => {
+  assert.equal(parseColorQuery('   '), null);
+  assert.equal(parseColorQuery(undefined), null);
+  assert.deepEqual(parseColorQuery(' Teal '), { type: 'name', text: 'Teal' });
+});
+
+test('scores exact, prefix, word and substring matches in that order', () => {
+  assert.equal(scoreNameMatch('Teal Blue', 'teal blue'), 1);
+  assert.equal(scoreNameMatch('Teal Blue', 'tealblue'), 1);
+  assert.equal(scoreNameMatch('Teal Blue', 'teal'), 0.9);
+  assert.equal(scoreNameMatch('Dark Blue', 'blue'), 0.8);
+  assert.equal(scoreNameMatch('Navy Blue', 'vyb'), 0.7);
+});
+
+test('gives typos a low score and unrelated names none', () => {
+  const typo = scoreNameMatch('Turquoise', 'turqoise');
+  assert.ok(typo > 0 && typo < 0.7, `typo scored ${typo}`);
+  assert.equal(scoreNameMatch('Red', 'zzz'), 0);
+  assert.equal(scoreNameMatch('Red', '  '), 0);
+});
+
+test('returns the best names first, then alphabetically, up to the limit', () => {
+  const colors = [
+    sample('Dark Blue', 240, 100, 25),
+    sample('Blue', 240, 100, 50),
+    sample('Blue Violet', 270, 76, 53),
+    sample('Red', 0, 100, 50),
+    sample('Unnamed', 10, 10, 10),
+    null,
+  ];
+  const results = searchColorNames(colors, 'blue');
+
+  assert.deepEqual(results.map(result => result.name), ['Blue', 'Blue Violet', 'Dark Blue']);
+  assert.equal(results[0].score, 1);
+  assert.deepEqual(searchColorNames(colors, 'blue', { limit: 1 }).map(result => result.name), ['Blue']);
+  assert.deepEqual(searchColorNames(colors, 'unnamed'), []);
+});
+
+test('counts a sample seen twice once', () => {
+  const teal = sample('Teal', 180, 100, 25);
+  const [result] = searchColorNames([teal, { ...teal }, sample('Teal', 181, 100, 25)], 'teal');
+  assert.equal(result.count, 2);
+});
+
+test('jumps to the sample nearest `near`, lowest hue on ties', () => {
+  const colors = [
+    sample('Teal', 185, 80, 30),
+    sample('Teal', 180, 100, 25),
+    sample('Teal', 175, 100, 25),
+  ];
+  assert.equal(searchColorNames(colors, 'teal', { near: { saturation: 80, lightness: 30 } })[0].color.hue, 185);
+  assert.equal(searchColorNames(colors, 'teal')[0].color.hue, 175);
+});
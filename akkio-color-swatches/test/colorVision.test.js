@@ -0,0 +1,74 @@
+/**
+ * Color-vision simulation: the per-mode transforms and confusable neighbour
+ * detection
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CONFUSION_THRESHOLD,
+  CVD_MODES,
+  findConfusableNeighbours,
+  simulateColorVision,
+} from '../src/services/colorVision.js';
+
+const WHITE = { red: 255, green: 255, blue: 255 };
+const BLACK = { red: 0, green: 0, blue: 0 };
+const RED = { red: 204, green: 0, blue: 0 };
+const OLIVE = { red: 120, green: 120, blue: 0 };
+
+const SIMULATED_MODES = CVD_MODES.map(mode => mode.id).filter(id => id !== 'none');
+
+test('normal vision returns the input unchanged', () => {
+  assert.equal(simulateColorVision(RED, 'none'), RED);
+  assert.equal(simulateColorVision(RED, undefined), RED);
+});
+
+test('every simulated mode leaves white and black alone', () => {
+  for (const mode of SIMULATED_MODES) {
+    assert.deepEqual(simulateColorVision(WHITE, mode), WHITE, mode);
+    assert.deepEqual(simulateColorVision(BLACK, mode), BLACK, mode);
+  }
+});
+
+test('achromatopsia maps colors to a gray of the same luminance', () => {
+  const simulated = simulateColorVision(RED, 'achromatopsia');
+  assert.equal(simulated.red, simulated.green);
+  assert.equal(simulated.green, simulated.blue);
+  assert.ok(simulated.red > 0 && simulated.red < RED.red, `gray level ${simulated.red}`);
+});
+
+test('simulated channels stay whole numbers within 0–255', () => {
+  for (const mode of SIMULATED_MODES) {
+    for (const channel of Object.values(simulateColorVision({ red: 0, green: 0, blue: 255 }, mode))) {
+      assert.ok(Number.isInteger(channel) && channel >= 0 && channel <= 255, `${mode}: ${channel}`);
+    }
+  }
+});
+
+test('rejects unknown modes', () => {
+  assert.throws(() => simulateColorVision(RED, 'sepia'), /Unknown color vision mode: sepia/);
+});
+
+test('flags red next to olive for deuteranopia but not tritanopia', () => {
+  const colors = [{ name: 'Red', rgb: RED }, { name: 'Olive', rgb: OLIVE }];
+
+  const pairs = findConfusableNeighbours(colors, 'deuteranopia');
+  assert.equal(pairs.length, 1);
+  assert.equal(pairs[0].first.name, 'Red');
+  assert.equal(pairs[0].second.name, 'Olive');
+  assert.ok(pairs[0].deltaE < CONFUSION_THRESHOLD);
+
+  assert.deepEqual(findConfusableNeighbours(colors, 'tritanopia'), []);
+  assert.deepEqual(findConfusableNeighbours(colors, 'none'), []);
+});
+
+test('only compares neighbours and skips pairs already alike in normal vision', () => {
+  const colors = [
+    { name: 'Red', rgb: RED },
+    { name: 'White', rgb: WHITE },
+    { name: 'Olive', rgb: OLIVE },
+    { name: 'Olive again', rgb: { red: 121, green: 120, blue: 0 } },
+  ];
+  assert.deepEqual(findConfusableNeighbours(colors, 'deuteranopia'), []);
+});
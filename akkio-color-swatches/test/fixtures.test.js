@@ -0,0 +1,91 @@
+/**
+ * Request fixtures: recording, validation, stable serialization and replay
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  FIXTURE_FORMAT,
+  FIXTURE_VERSION,
+  createFixtureRecorder,
+  createReplayProvider,
+  serializeFixture,
+  validateFixture,
+} from '../src/services/fixtures.js';
+
+const CHESTNUT = { name: 'Chestnut', rgb: { red: 191, green: 64, blue: 64 }, hex: '#BF4040', hsl: 'hsl(0, 50%, 50%)' };
+const OLIVE = { name: 'Olive', rgb: { red: 128, green: 128, blue: 0 }, hex: '#808000', hsl: 'hsl(60, 100%, 25%)' };
+
+const fixtureOf = responses => ({ format: FIXTURE_FORMAT, version: FIXTURE_VERSION, provider: 'test', responses });
+
+test('records lookups by "h,s,l", the latest winning, and notifies listeners', () => {
+  const recorder = createFixtureRecorder('thecolorapi');
+  const sizes = [];
+  const unsubscribe = recorder.subscribe(size => sizes.push(size));
+
+  recorder.record(0, 50, 50, { ...OLIVE, extra: 'dropped' });
+  recorder.record(0, 50, 50, CHESTNUT);
+  unsubscribe();
+  recorder.record(60, 100, 25, OLIVE);
+
+  assert.equal(recorder.size, 2);
+  assert.deepEqual(sizes, [1, 1]);
+  assert.deepEqual(recorder.toFixture(), {
+    format: FIXTURE_FORMAT,
+    version: FIXTURE_VERSION,
+    provider: 'thecolorapi',
+    responses: { '0,50,50': CHESTNUT, '60,100,25': OLIVE },
+  });
+});
+
+test('rejects other formats, versions and malformed fixtures', () => {
+  assert.throws(() => validateFixture({ format: 'other' }), /Not a request fixture file/);
+  assert.throws(() => validateFixture(null), /Not a request fixture file/);
+  assert.throws(
+    () => validateFixture({ format: FIXTURE_FORMAT, version: 2, responses: {} }),
+    /Unsupported fixture version 2 \(expected 1\)/
+  );
+  assert.throws(
+    () => validateFixture({ format: FIXTURE_FORMAT, version: FIXTURE_VERSION, responses: null }),
+    /Malformed request fixture/
+  );
+});
+
+test('serializes one response per line in numeric H/S/L order', () => {
+  const text = serializeFixture(fixtureOf({ '60,100,25': OLIVE, '0,50,50': CHESTNUT, '10,5,5': OLIVE }));
+  const keys = text.split('\n').filter(line => line.startsWith('    "')).map(line => JSON.parse(line.split(': ')[0]));
+
+  assert.deepEqual(keys, ['0,50,50', '10,5,5', '60,100,25']);
+  assert.deepEqual(JSON.parse(text).responses['0,50,50'], CHESTNUT);
+  assert.deepEqual(JSON.parse(serializeFixture(fixtureOf({}))).responses, {});
+});
+
+test('replays recorded responses and fails on misses without retrying', async () => {
+  const provider = createReplayProvider({ fixture: Promise.resolve(fixtureOf({ '0,50,50': CHESTNUT })) });
+  assert.equal(provider.cacheable, false);
+  assert.deepEqual(await provider.lookup(0, 50, 50), CHESTNUT);
+  await assert.rejects(provider.lookup(1, 50, 50), error => error.fixtureMiss === true);
+});
+
+test('injects errors with the chosen status, the same on every run', async () => {
+  const fixture = fixtureOf({ '0,50,50': CHESTNUT });
+  await assert.rejects(
+    createReplayProvider({ fixture, errorRate: 1, errorStatus: 429 }).lookup(0, 50, 50),
+    { status: 429, message: 'API error: 429 (injected)' }
+  );
+
+  const outcomes = async () => {
+    const provider = createReplayProvider({ fixture, errorRate: 0.5 });
+    const results = [];
+    for (let attempt = 0; attempt < 8; attempt++) {
+      results.push(await provider.lookup(0, 50, 50).then(() => 'ok', () => 'error'));
+    }
+    return results;
+  };
+  assert.deepEqual(await outcomes(), await outcomes());
+});
+
+test('reports a fixture that fails to load from each lookup', async () => {
+  const provider = createReplayProvider({ fixture: { format: 'other' } });
+  await assert.rejects(provider.lookup(0, 50, 50), /Not a request fixture file/);
+});
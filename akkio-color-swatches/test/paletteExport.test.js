@@ -0,0 +1,98 @@
+/**
+ * Palette export: slugs, the text formats and the ASE binary layout
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assignSlugs, exportPalette, slugify } from '../src/services/paletteExport.js';
+
+const COLORS = [
+  { name: 'Dark Slate Gray', hex: '#2f4f4f', hsl: 'hsl(180, 25%, 25%)', rgb: { red: 47, green: 79, blue: 79 } },
+  { name: 'Crème Brûlée', hex: '#f5deb3', hsl: 'hsl(39, 77%, 83%)', rgb: { red: 245, green: 222, blue: 179 } },
+];
+
+test('slugify makes lowercase, dash-separated identifiers', () => {
+  assert.equal(slugify('Dark Slate Gray'), 'dark-slate-gray');
+  assert.equal(slugify('Crème Brûlée'), 'creme-brulee');
+  assert.equal(slugify("  Tiffany's  Blue!! "), 'tiffany-s-blue');
+});
+
+test('slugify never returns an empty slug or one starting with a digit', () => {
+  assert.equal(slugify(''), 'color');
+  assert.equal(slugify('***'), 'color');
+  assert.equal(slugify(null), 'color');
+  assert.equal(slugify('50 Shades'), 'color-50-shades');
+});
+
+test('assignSlugs suffixes colliding names in order', () => {
+  const slugs = assignSlugs([{ name: 'Red' }, { name: 'red' }, { name: 'RED' }, { name: 'Blue' }])
+    .map(entry => entry.slug);
+  assert.deepEqual(slugs, ['red', 'red-2', 'red-3', 'blue']);
+});
+
+test('CSS export writes custom properties in upper-case hex', () => {
+  const { content, filename, mimeType } = exportPalette(COLORS, 'css', { name: 'My Palette' });
+  assert.equal(content, ':root {\n  --dark-slate-gray: #2F4F4F;\n  --creme-brulee: #F5DEB3;\n}\n');
+  assert.equal(filename, 'my-palette.css');
+  assert.equal(mimeType, 'text/css');
+});
+
+test('SCSS and Tailwind exports use the same slugs', () => {
+  assert.equal(exportPalette(COLORS, 'scss').content, '$dark-slate-gray: #2F4F4F;\n$creme-brulee: #F5DEB3;\n');
+  const tailwind = exportPalette(COLORS, 'tailwind').content;
+  assert.match(tailwind, /'dark-slate-gray': '#2F4F4F',/);
+  assert.match(tailwind, /'creme-brulee': '#F5DEB3',/);
+});
+
+test('design tokens are W3C color tokens keyed by slug', () => {
+  const tokens = JSON.parse(exportPalette(COLORS, 'tokens').content);
+  assert.deepEqual(tokens['dark-slate-gray'], {
+    $type: 'color',
+    $value: '#2F4F4F',
+    $description: 'Dark Slate Gray (hsl(180, 25%, 25%))',
+  });
+  assert.equal(exportPalette(COLORS, 'tokens').filename, 'color-swatches.tokens.json');
+});
+
+test('GIMP palette has a header and one padded RGB row per color', () => {
+  const lines = exportPalette(COLORS, 'gpl', { name: 'Test' }).content.split('\n');
+  assert.deepEqual(lines.slice(0, 4), ['GIMP Palette', 'Name: Test', 'Columns: 8', '#']);
+  assert.equal(lines[4], ' 47  79  79\tDark Slate Gray');
+  assert.equal(lines[5], '245 222 179\tCrème Brûlée');
+});
+
+test('ASE export is a big-endian ASEF file with one RGB entry per color', () => {
+  const { content } = exportPalette(COLORS.slice(0, 1), 'ase');
+  assert.ok(content instanceof Uint8Array);
+  const view = new DataView(content.buffer);
+
+  assert.equal(String.fromCharCode(...content.slice(0, 4)), 'ASEF');
+  assert.equal(view.getUint16(4), 1); // version 1.0
+  assert.equal(view.getUint16(6), 0);
+  assert.equal(view.getUint32(8), 1); // blocks
+
+  const name = 'Dark Slate Gray\0';
+  let offset = 12;
+  assert.equal(view.getUint16(offset), 0x0001); // color entry
+  assert.equal(view.getUint32(offset + 2), 2 + name.length * 2 + 4 + 12 + 2);
+  assert.equal(view.getUint16(offset + 6), name.length);
+  offset += 8;
+
+  const chars = [];
+  for (let i = 0; i < name.length; i++, offset += 2) chars.push(view.getUint16(offset));
+  assert.equal(String.fromCharCode(...chars), name);
+
+  assert.equal(String.fromCharCode(...content.slice(offset, offset + 4)), 'RGB ');
+  offset += 4;
+  const channels = [0, 1, 2].map(i => view.getFloat32(offset + i * 4));
+  channels.forEach((channel, i) => assert.ok(Math.abs(channel - [47, 79, 79][i] / 255) < 1e-6));
+  offset += 12;
+  assert.equal(view.getUint16(offset), 2); // normal color type
+  assert.equal(content.length, offset + 2);
+});
+
+test('skips colors without RGB or hex and rejects unknown formats', () => {
+  const { content } = exportPalette([...COLORS, { name: 'Broken' }, null], 'scss');
+  assert.doesNotMatch(content, /broken/);
+  assert.throws(() => exportPalette(COLORS, 'pdf'), /Unknown export format: pdf/);
+});
@@ -0,0 +1,169 @@
+/**
+ * Request scheduler: concurrency and rate caps, coalescing, priorities,
+ * per-consumer cancellation and pausing
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequestScheduler, wait } from '../src/services/requestScheduler.js';
+
+/**
+ * A task that stays pending until the test resolves it
+ */
+function deferredTask() {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  const task = signal => {
+    task.signal = signal;
+    task.calls = (task.calls ?? 0) + 1;
+    return promise;
+  };
+  task.resolve = resolve;
+  return task;
+}
+
+test('never runs more than `concurrency` requests at once', async () => {
+  const scheduler = createRequestScheduler({ concurrency: 2, requestsPerSecond: 100 });
+  const tasks = [deferredTask(), deferredTask(), deferredTask()];
+  const results = tasks.map((task, i) => scheduler.schedule(`k${i}`, task));
+
+  assert.equal(scheduler.stats().running, 2);
+  assert.equal(scheduler.stats().queued, 1);
+  assert.equal(tasks[2].calls, undefined);
+
+  tasks[0].resolve('a');
+  await results[0];
+  await wait(0);
+  assert.equal(tasks[2].calls, 1);
+
+  tasks[1].resolve('b');
+  tasks[2].resolve('c');
+  assert.deepEqual(await Promise.all(results), ['a', 'b', 'c']);
+});
+
+test('starts no more than `requestsPerSecond` requests within a second', async () => {
+  const scheduler = createRequestScheduler({ concurrency: 10, requestsPerSecond: 2 });
+  const started = [];
+  const results = [0, 1, 2].map(i => scheduler.schedule(`k${i}`, async () => {
+    started.push(Date.now());
+    return i;
+  }));
+
+  assert.deepEqual(await Promise.all(results), [0, 1, 2]);
+  assert.ok(started[2] - started[0] >= 900, `third start came after ${started[2] - started[0]} ms`);
+});
+
+test('coalesces identical keys into one request', async () => {
+  const scheduler = createRequestScheduler();
+  const task = deferredTask();
+  const first = scheduler.schedule('same', task);
+  const second = scheduler.schedule('same', task);
+
+  task.resolve('shared');
+  assert.deepEqual(await Promise.all([first, second]), ['shared', 'shared']);
+  assert.equal(task.calls, 1);
+});
+
+test('starts the highest priority first, oldest first within a priority', async () => {
+  const scheduler = createRequestScheduler({ concurrency: 1, requestsPerSecond: 100 });
+  const order = [];
+  const blocker = deferredTask();
+  const blocked = scheduler.schedule('blocker', blocker);
+
+  const record = name => async () => { order.push(name); };
+  const queued = [
+    scheduler.schedule('low', record('low'), { priority: 1 }),
+    scheduler.schedule('high-1', record('high-1'), { priority: 5 }),
+    scheduler.schedule('high-2', record('high-2'), { priority: 5 }),
+  ];
+
+  blocker.resolve();
+  await Promise.all([blocked, ...queued]);
+  assert.deepEqual(order, ['high-1', 'high-2', 'low']);
+});
+
+test('nextPriority outranks every earlier priority', () => {
+  const scheduler = createRequestScheduler();
+  const first = scheduler.nextPriority();
+  assert.ok(scheduler.nextPriority() > first);
+});
+
+test('aborting one consumer leaves a shared request running for the others', async () => {
+  const scheduler = createRequestScheduler();
+  const task = deferredTask();
+  const abortController = new AbortController();
+  const abandoned = scheduler.schedule('key', task, { signal: abortController.signal });
+  const kept = scheduler.schedule('key', task);
+
+  abortController.abort();
+  await assert.rejects(abandoned, { name: 'AbortError' });
+  assert.equal(task.signal.aborted, false);
+
+  task.resolve('done');
+  assert.equal(await kept, 'done');
+});
+
+test('aborts the request once its last consumer is gone', async () => {
+  const scheduler = createRequestScheduler();
+  const task = deferredTask();
+  const abortController = new AbortController();
+  const result = scheduler.schedule('key', task, { signal: abortController.signal });
+
+  abortController.abort();
+  await assert.rejects(result, { name: 'AbortError' });
+  assert.equal(task.signal.aborted, true);
+});
+
+test('drops a queued request whose only consumer aborts', async () => {
+  const scheduler = createRequestScheduler({ concurrency: 1, requestsPerSecond: 100 });
+  const blocker = deferredTask();
+  const blocked = scheduler.schedule('blocker', blocker);
+  const task = deferredTask();
+  const abortController = new AbortController();
+  const result = scheduler.schedule('queued', task, { signal: abortController.signal });
+
+  abortController.abort();
+  await assert.rejects(result, { name: 'AbortError' });
+  assert.equal(scheduler.stats().queued, 0);
+
+  blocker.resolve();
+  await blocked;
+  assert.equal(task.calls, undefined);
+});
+
+test('rejects at once for an already aborted signal', async () => {
+  const scheduler = createRequestScheduler();
+  const task = deferredTask();
+  await assert.rejects(
+    scheduler.schedule('key', task, { signal: AbortSignal.abort() }),
+    { name: 'AbortError' }
+  );
+  assert.equal(task.calls, undefined);
+});
+
+test('pauseFor holds back new requests', async () => {
+  const scheduler = createRequestScheduler();
+  scheduler.pauseFor(150);
+  const queuedAt = Date.now();
+  let startedAt = null;
+
+  await scheduler.schedule('key', async () => { startedAt = Date.now(); });
+  assert.ok(startedAt - queuedAt >= 140, `started after ${startedAt - queuedAt} ms`);
+});
+
+test('passes task errors to every consumer', async () => {
+  const scheduler = createRequestScheduler();
+  const failing = async () => { throw new Error('boom'); };
+  const results = [scheduler.schedule('key', failing), scheduler.schedule('key', failing)];
+
+  for (const result of results) {
+    await assert.rejects(result, { message: 'boom' });
+  }
+});
+
+test('wait rejects early when its signal aborts', async () => {
+  const abortController = new AbortController();
+  const waiting = wait(10000, abortController.signal);
+  abortController.abort();
+  await assert.rejects(waiting, { name: 'AbortError' });
+});
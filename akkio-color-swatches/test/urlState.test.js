@@ -0,0 +1,50 @@
+/**
+ * URL state: parsing shared links, falling back on bad values and
+ * round-tripping through the query string
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_URL_STATE, parseUrlState, serializeUrlState } from '../src/services/urlState.js';
+
+test('parses an HSL explorer link', () => {
+  assert.deepEqual(parseUrlState('?s=72&l=35&view=map&sort=name&color=Crimson'), {
+    slice: { model: 'hsl', sweep: 'h', fixed: { s: 72, l: 35 } },
+    view: 'map',
+    sort: 'name',
+    selected: 'Crimson',
+  });
+});
+
+test('an empty query is the default state', () => {
+  assert.deepEqual(parseUrlState(''), DEFAULT_URL_STATE);
+  assert.equal(serializeUrlState(DEFAULT_URL_STATE), '');
+});
+
+test('reads other models with each fixed axis under its own id', () => {
+  const { slice } = parseUrlState('?model=oklch&sweep=c&l=70&h=400');
+  assert.deepEqual(slice, { model: 'oklch', sweep: 'c', fixed: { l: 70, h: 40 } });
+});
+
+test('falls back to defaults for missing or invalid values', () => {
+  const state = parseUrlState('?model=xyz&s=&l=dark&view=table&sort=random&color=');
+  assert.deepEqual(state, DEFAULT_URL_STATE);
+  assert.deepEqual(parseUrlState('?s=250&l=-5').slice.fixed, { s: 100, l: 0 });
+});
+
+test('leaves defaults out of the query string', () => {
+  const state = parseUrlState('?model=oklch&l=70&c=25&color=Sea%20Green');
+  assert.equal(serializeUrlState(state), '?model=oklch&l=70&c=25&color=Sea+Green');
+  assert.equal(serializeUrlState({ ...DEFAULT_URL_STATE, view: 'compare' }), '?view=compare');
+});
+
+test('serialized state parses back to the same state', () => {
+  const states = [
+    { ...DEFAULT_URL_STATE, slice: { model: 'hsl', sweep: 'h', fixed: { s: 72, l: 35 } }, sort: 'luminance' },
+    { ...DEFAULT_URL_STATE, slice: { model: 'lch', sweep: 'l', fixed: { c: 80, h: 300 } }, view: 'map' },
+    { ...DEFAULT_URL_STATE, slice: { model: 'hsv', sweep: 's', fixed: { h: 30, v: 80 } }, selected: 'Rust & Co' },
+  ];
+  for (const state of states) {
+    assert.deepEqual(parseUrlState(serializeUrlState(state)), state);
+  }
+});
@@ -0,0 +1,70 @@
+/**
+ * WCAG contrast: luminance, ratios against known reference values, grading
+ * and pair finding
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BLACK,
+  CONTRAST_LEVELS,
+  WHITE,
+  contrastRatio,
+  findAccessiblePairs,
+  gradeContrast,
+  pickTextColor,
+  relativeLuminance,
+} from '../src/services/wcag.js';
+
+const gray = value => ({ red: value, green: value, blue: value });
+const near = (actual, expected, precision = 0.01) =>
+  assert.ok(Math.abs(actual - expected) < precision, `${actual} is not within ${precision} of ${expected}`);
+
+test('relative luminance runs from 0 for black to 1 for white', () => {
+  assert.equal(relativeLuminance(BLACK), 0);
+  near(relativeLuminance(WHITE), 1, 1e-9);
+  near(relativeLuminance({ red: 255, green: 0, blue: 0 }), 0.2126, 1e-4);
+  near(relativeLuminance({ red: 0, green: 255, blue: 0 }), 0.7152, 1e-4);
+});
+
+test('contrast ratio matches reference values and ignores order', () => {
+  assert.equal(contrastRatio(BLACK, WHITE), 21);
+  assert.equal(contrastRatio(WHITE, WHITE), 1);
+  near(contrastRatio(gray(0x76), WHITE), 4.54);
+  near(contrastRatio(gray(0x77), WHITE), 4.48);
+  near(contrastRatio({ red: 0, green: 0, blue: 255 }, WHITE), 8.59);
+  assert.equal(contrastRatio(WHITE, gray(0x76)), contrastRatio(gray(0x76), WHITE));
+});
+
+test('grades ratios at the AA and AAA thresholds', () => {
+  assert.equal(gradeContrast(21), 'AAA');
+  assert.equal(gradeContrast(CONTRAST_LEVELS.AAA), 'AAA');
+  assert.equal(gradeContrast(6.99), 'AA');
+  assert.equal(gradeContrast(CONTRAST_LEVELS.AA), 'AA');
+  assert.equal(gradeContrast(4.49), 'AA Large');
+  assert.equal(gradeContrast(3), 'AA Large');
+  assert.equal(gradeContrast(2.99), 'Fail');
+});
+
+test('picks whichever of black or white text contrasts more', () => {
+  assert.equal(pickTextColor(WHITE), '#000000');
+  assert.equal(pickTextColor(BLACK), '#ffffff');
+  assert.equal(pickTextColor({ red: 255, green: 255, blue: 0 }), '#000000');
+  assert.equal(pickTextColor({ red: 0, green: 0, blue: 128 }), '#ffffff');
+});
+
+test('finds every passing pair once, highest ratio first', () => {
+  const colors = [
+    { name: 'White', rgb: WHITE },
+    { name: 'Mid', rgb: gray(0x76) },
+    { name: 'Black', rgb: BLACK },
+  ];
+  const pairs = findAccessiblePairs(colors, CONTRAST_LEVELS.AA);
+
+  assert.deepEqual(
+    pairs.map(({ first, second }) => [first.name, second.name]),
+    [['White', 'Black'], ['Mid', 'Black'], ['White', 'Mid']]
+  );
+  pairs.forEach(pair => near(pair.ratio, contrastRatio(pair.first.rgb, pair.second.rgb), 1e-9));
+  assert.equal(findAccessiblePairs(colors, CONTRAST_LEVELS.AAA).length, 1);
+});